@@ -7,8 +7,29 @@
   'use strict';
 
   // Configuration
-  const STORAGE_KEY = 'privacy_popup_accepted';
-  const STORAGE_EXPIRY_DAYS = 365;
+  const STORAGE_KEY = 'privacy_popup_consent';
+  const LEGACY_STORAGE_KEY = 'privacy_popup_accepted';
+  const DEFAULT_CONSENT_LIFETIME_DAYS = 365;
+  const CONSENT_CATEGORIES = ['necessary', 'analytics', 'marketing', 'preferences'];
+  const CUSTOMER_PRIVACY_TIMEOUT_MS = 3000;
+  const VISITOR_ID_KEY = 'privacy_popup_visitor_id';
+  const DISMISSED_KEY = 'privacy_popup_dismissed';
+  const AB_VARIANT_KEY = 'privacy_popup_ab_variant';
+  const AB_CONTROL_ID = 'control';
+  const PAGE_VIEWS_KEY = 'privacy_popup_page_views';
+  const APP_PROXY_PATH = 'apps/privacy-popup';
+  const HIDE_ANIMATION_MS = 300;
+  const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+  // Countries covered by each preset region group
+  const REGION_GROUPS = {
+    eea: [
+      'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT',
+      'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE', 'IS', 'LI', 'NO'
+    ],
+    uk: ['GB'],
+    switzerland: ['CH']
+  };
 
   /**
    * Set item in localStorage with expiry
@@ -49,20 +70,885 @@
     }
   }
 
+  // Where consent is stored, read from the popup block
+  const storage = {
+    strategy: 'local_storage',
+    cookieDomain: '',
+    sameSite: 'Lax'
+  };
+
+  /**
+   * Read the consent storage strategy and cookie attributes configured for a popup
+   */
+  function configureStorage(popup) {
+    storage.strategy = popup.dataset.consentStorage || 'local_storage';
+    storage.sameSite = popup.dataset.cookieSameSite || 'Lax';
+
+    // A domain the current host doesn't belong to would make the browser drop the cookie,
+    // e.g. on the myshopify.com domain of a store configured for its custom domain
+    const domain = (popup.dataset.cookieDomain || '').replace(/^\./, '');
+    const host = window.location.hostname;
+    storage.cookieDomain = domain && (host === domain || host.endsWith('.' + domain)) ? domain : '';
+  }
+
+  function serializeCookie(key, value, maxAgeSeconds) {
+    let cookie = `${key}=${value}; Path=/; Max-Age=${maxAgeSeconds}; SameSite=${storage.sameSite}`;
+    if (storage.cookieDomain) cookie += `; Domain=${storage.cookieDomain}`;
+    if (storage.sameSite === 'None' || window.location.protocol === 'https:') cookie += '; Secure';
+    return cookie;
+  }
+
+  /**
+   * Storage backends for the consent record. Each keeps a value for a number of days.
+   */
+  const localStorageBackend = {
+    get: getWithExpiry,
+    set: setWithExpiry,
+    remove(key) {
+      try {
+        localStorage.removeItem(key);
+      } catch (e) {
+        console.warn('Privacy popup: Unable to clear localStorage');
+      }
+    }
+  };
+
+  // A first-party cookie the server and other subdomains can read, holding the URI-encoded JSON record
+  const cookieBackend = {
+    get(key) {
+      const match = document.cookie.match(new RegExp('(?:^|;\\s*)' + key + '=([^;]*)'));
+      if (!match) return null;
+      try {
+        const item = JSON.parse(decodeURIComponent(match[1]));
+        return item.expiry > Date.now() ? item.value : null;
+      } catch (e) {
+        return null;
+      }
+    },
+    set(key, value, expiryDays) {
+      const expiryMs = expiryDays * 24 * 60 * 60 * 1000;
+      const item = { value: value, expiry: Date.now() + expiryMs };
+      document.cookie = serializeCookie(key, encodeURIComponent(JSON.stringify(item)), Math.round(expiryMs / 1000));
+    },
+    remove(key) {
+      document.cookie = serializeCookie(key, '', 0);
+    }
+  };
+
+  function consentBackends() {
+    if (storage.strategy === 'cookie') return [cookieBackend];
+    if (storage.strategy === 'both') return [cookieBackend, localStorageBackend];
+    return [localStorageBackend];
+  }
+
+  /**
+   * Consent storage following the configured strategy: reads from the first backend
+   * holding a value and writes to all of them
+   */
+  const consentStorage = {
+    get(key) {
+      for (const backend of consentBackends()) {
+        const value = backend.get(key);
+        if (value !== null) return value;
+      }
+      return null;
+    },
+    set(key, value, expiryDays) {
+      consentBackends().forEach((backend) => backend.set(key, value, expiryDays));
+    },
+    remove(key) {
+      consentBackends().forEach((backend) => backend.remove(key));
+    }
+  };
+
+  // Current privacy policy version and consent lifetimes, read from the popup block
+  const policy = {
+    version: '1',
+    lifetimeDays: DEFAULT_CONSENT_LIFETIME_DAYS,
+    declineLifetimeDays: DEFAULT_CONSENT_LIFETIME_DAYS
+  };
+
+  /**
+   * Read the policy version and consent lifetimes configured for a popup
+   */
+  function configurePolicy(popup) {
+    policy.version = popup.dataset.policyVersion || '1';
+    policy.lifetimeDays = parseInt(popup.dataset.consentLifetime) || DEFAULT_CONSENT_LIFETIME_DAYS;
+    policy.declineLifetimeDays = parseInt(popup.dataset.declineLifetime) || policy.lifetimeDays;
+  }
+
+  /**
+   * Build a consent record from a map of granted categories.
+   * Strictly necessary cookies are always granted.
+   */
+  function buildConsent(granted, decision) {
+    const categories = {};
+    CONSENT_CATEGORIES.forEach((category) => {
+      categories[category] = category === 'necessary' || granted[category] === true;
+    });
+    const consent = {
+      categories: categories,
+      policy_version: policy.version,
+      timestamp: new Date().toISOString()
+    };
+    if (decision) consent.decision = decision;
+    return consent;
+  }
+
+  /**
+   * Days a consent record stays valid; declining has its own, usually shorter, lifetime
+   */
+  function lifetimeDays(consent) {
+    return consent.decision === 'declined' ? policy.declineLifetimeDays : policy.lifetimeDays;
+  }
+
+  /**
+   * Get the stored consent record whether or not it is still current
+   */
+  function getStoredConsent() {
+    const consent = consentStorage.get(STORAGE_KEY);
+    if (consent) return consent;
+
+    // Visitors who accepted before consent categories existed granted everything under the first policy
+    if (getWithExpiry(LEGACY_STORAGE_KEY) === 'true') {
+      const legacyConsent = buildConsent({ analytics: true, marketing: true, preferences: true });
+      legacyConsent.policy_version = '1';
+      return legacyConsent;
+    }
+
+    return null;
+  }
+
   /**
-   * Check if user has already accepted privacy policy
+   * Check a consent record was given for the current policy version and is within the consent lifetime
+   */
+  function isCurrentConsent(consent) {
+    const age = Date.now() - Date.parse(consent.timestamp);
+    return String(consent.policy_version || '1') === policy.version &&
+      age <= lifetimeDays(consent) * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Get the visitor's consent record, or null if they have not decided under the current policy
+   */
+  function getConsent() {
+    const consent = getStoredConsent();
+    return consent && isCurrentConsent(consent) ? consent : null;
+  }
+
+  /**
+   * Store a consent record for the given granted categories
+   */
+  function saveConsent(granted, decision) {
+    const previousConsent = getConsent();
+    const consent = buildConsent(granted, decision);
+    consentStorage.set(STORAGE_KEY, consent, lifetimeDays(consent));
+    try {
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
+    } catch (e) {
+      // Ignore, the legacy key is only read as a fallback
+    }
+    notifyConsentChanged(consent, previousConsent);
+    return consent;
+  }
+
+  /**
+   * Forget the visitor's consent so they are asked again
+   */
+  function clearConsent() {
+    const previousConsent = getConsent();
+    consentStorage.remove(STORAGE_KEY);
+    localStorageBackend.remove(LEGACY_STORAGE_KEY);
+    notifyConsentChanged(null, previousConsent);
+  }
+
+  /**
+   * Tell the page the stored consent changed; `consent` is null once it is withdrawn
+   */
+  function notifyConsentChanged(consent, previousConsent) {
+    updateReopenWidgets();
+    updateDeclarations();
+    window.dispatchEvent(new CustomEvent('privacyPopupConsentChanged', {
+      detail: { consent: consent, previousConsent: previousConsent }
+    }));
+  }
+
+  /**
+   * Show the floating "Cookie settings" button only to visitors who have made a choice
+   */
+  function updateReopenWidgets() {
+    const decided = hasAcceptedPrivacy();
+    document.querySelectorAll('.privacy-popup-reopen').forEach((widget) => {
+      widget.hidden = !decided;
+    });
+  }
+
+  /**
+   * Show the visitor's current choices in cookie declaration blocks. Their
+   * "Change preferences" button only shows when a popup is there to open.
+   */
+  function updateDeclarations() {
+    const decided = hasAcceptedPrivacy();
+    const hasPopup = !!document.querySelector('.privacy-popup-overlay');
+    document.querySelectorAll('.privacy-popup-declaration').forEach((declaration) => {
+      declaration.querySelectorAll('[data-consent-status]').forEach((status) => {
+        const allowed = hasConsent(status.dataset.consentStatus);
+        status.textContent = allowed ? declaration.dataset.textAllowed : declaration.dataset.textNotAllowed;
+        status.classList.toggle('is-allowed', allowed);
+        status.hidden = false;
+      });
+
+      const undecided = declaration.querySelector('.privacy-popup-declaration-undecided');
+      if (undecided) undecided.hidden = decided;
+
+      const button = declaration.querySelector('.privacy-popup-declaration-button');
+      if (button) button.hidden = !hasPopup;
+    });
+  }
+
+  /**
+   * Check if the visitor granted a consent category
+   */
+  function hasConsent(category) {
+    if (category === 'necessary') return true;
+    const consent = getConsent();
+    return !!(consent && consent.categories[category]);
+  }
+
+  /**
+   * Check if user has already made a privacy choice
    */
   function hasAcceptedPrivacy() {
-    return getWithExpiry(STORAGE_KEY) === 'true';
+    return getConsent() !== null;
   }
 
   /**
-   * Mark privacy policy as accepted
+   * Check if the visitor made a choice other than declining
+   */
+  function hasAcceptedConsent() {
+    const consent = getConsent();
+    return consent !== null && consent.decision !== 'declined';
+  }
+
+  /**
+   * Mark privacy policy as accepted, granting every category
    */
   function markAsAccepted() {
-    setWithExpiry(STORAGE_KEY, 'true', STORAGE_EXPIRY_DAYS);
+    return saveConsent({ analytics: true, marketing: true, preferences: true }, 'accepted');
+  }
+
+  /**
+   * Check if the visitor closed the popup without deciding earlier in this browser session
+   */
+  function isDismissedForSession() {
+    try {
+      return sessionStorage.getItem(DISMISSED_KEY) === policy.version;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function dismissForSession() {
+    try {
+      sessionStorage.setItem(DISMISSED_KEY, policy.version);
+    } catch (e) {
+      console.warn('Privacy popup: Unable to save to sessionStorage');
+    }
+  }
+
+  /**
+   * Get the anonymous ID used to tie this browser's consent records together
+   */
+  function getVisitorId() {
+    const generate = () => window.crypto && window.crypto.randomUUID
+      ? window.crypto.randomUUID()
+      : Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+
+    try {
+      let visitorId = localStorage.getItem(VISITOR_ID_KEY);
+      if (!visitorId) {
+        visitorId = generate();
+        localStorage.setItem(VISITOR_ID_KEY, visitorId);
+      }
+      return visitorId;
+    } catch (e) {
+      return generate();
+    }
+  }
+
+  /**
+   * Build a URL on the app's storefront proxy, respecting locale-prefixed routes
+   */
+  function appProxyUrl(path) {
+    const root = (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/';
+    return root + APP_PROXY_PATH + '/' + path;
+  }
+
+  /**
+   * Send a consent decision to the merchant's server-side consent log
+   */
+  function recordConsent(popup, consent, decision) {
+    if (popup.dataset.consentLog === 'false') return;
+
+    const shopify = window.Shopify || {};
+    const record = {
+      visitor_id: getVisitorId(),
+      decision: decision,
+      categories: consent.categories,
+      popup_version: popup.dataset.popupVersion || '',
+      policy_version: consent.policy_version,
+      timestamp: consent.timestamp,
+      locale: shopify.locale || document.documentElement.lang || '',
+      country: popup.dataset.visitorCountry || shopify.country || ''
+    };
+
+    fetch(appProxyUrl('consent'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(record),
+      keepalive: true
+    }).catch(() => {
+      console.warn('Privacy popup: Unable to record consent');
+    });
+  }
+
+  /**
+   * Rough device class from the viewport, reported with analytics events
+   */
+  function deviceType() {
+    const width = window.innerWidth || document.documentElement.clientWidth;
+    if (width < 768) return 'mobile';
+    if (width <= 1024 && window.matchMedia && window.matchMedia('(pointer: coarse)').matches) return 'tablet';
+    return 'desktop';
+  }
+
+  /**
+   * Send an anonymous popup event (impression, accept, decline, dismiss or preferences_change)
+   * to the merchant's analytics. Beacons carry no visitor ID.
+   */
+  function trackEvent(popup, event) {
+    if (popup.dataset.analytics === 'false') return;
+
+    const shopify = window.Shopify || {};
+    const body = JSON.stringify({
+      event: event,
+      device: deviceType(),
+      country: popup.dataset.visitorCountry || shopify.country || '',
+      // The A/B test only covers the default banner, not the US opt-out notice
+      variant: popup.dataset.activeVariant === 'ccpa' ? 'ccpa' : popup.dataset.testVariant || 'default'
+    });
+
+    // Beacons survive the page unloading right after a choice, e.g. when the visitor clicks a link
+    if (navigator.sendBeacon && navigator.sendBeacon(appProxyUrl('analytics'), new Blob([body], { type: 'text/plain' }))) {
+      return;
+    }
+    fetch(appProxyUrl('analytics'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: body,
+      keepalive: true
+    }).catch(() => {
+      console.warn('Privacy popup: Unable to record analytics event');
+    });
+  }
+
+  let customerPrivacyPromise = null;
+
+  /**
+   * Load Shopify's Customer Privacy API.
+   * Resolves with `window.Shopify.customerPrivacy`, or null when it is unavailable.
+   */
+  function loadCustomerPrivacy() {
+    if (customerPrivacyPromise) return customerPrivacyPromise;
+
+    customerPrivacyPromise = new Promise((resolve) => {
+      const shopify = window.Shopify;
+      if (shopify && shopify.customerPrivacy) {
+        resolve(shopify.customerPrivacy);
+        return;
+      }
+      if (!shopify || typeof shopify.loadFeatures !== 'function') {
+        resolve(null);
+        return;
+      }
+
+      // Don't hold the popup back forever if the API never loads
+      const timeout = setTimeout(() => resolve(null), CUSTOMER_PRIVACY_TIMEOUT_MS);
+
+      shopify.loadFeatures([{ name: 'consent-tracking-api', version: '0.1' }], (error) => {
+        clearTimeout(timeout);
+        if (error) {
+          console.warn('Privacy popup: Unable to load the Customer Privacy API');
+          resolve(null);
+          return;
+        }
+        resolve(window.Shopify.customerPrivacy || null);
+      });
+    });
+
+    return customerPrivacyPromise;
   }
 
+  /**
+   * Map a consent record onto Shopify's tracking consent fields
+   */
+  function toTrackingConsent(consent) {
+    return {
+      analytics: consent.categories.analytics,
+      marketing: consent.categories.marketing,
+      preferences: consent.categories.preferences,
+      sale_of_data: consent.categories.marketing
+    };
+  }
+
+  /**
+   * Read the consent Shopify already holds for this visitor.
+   * Returns a map of granted categories, or null when the visitor has not decided yet.
+   */
+  function getCustomerPrivacyConsent(customerPrivacy) {
+    if (typeof customerPrivacy.currentVisitorConsent !== 'function') return null;
+
+    const visitorConsent = customerPrivacy.currentVisitorConsent() || {};
+    const decided = ['analytics', 'marketing', 'preferences'].every(
+      (category) => visitorConsent[category] === 'yes' || visitorConsent[category] === 'no'
+    );
+    if (!decided) return null;
+
+    return {
+      analytics: visitorConsent.analytics === 'yes',
+      marketing: visitorConsent.marketing === 'yes',
+      preferences: visitorConsent.preferences === 'yes'
+    };
+  }
+
+  /**
+   * Pass the visitor's decision on to Shopify analytics, pixels and checkout
+   */
+  function setCustomerPrivacyConsent(consent) {
+    return loadCustomerPrivacy().then((customerPrivacy) => {
+      if (!customerPrivacy) return;
+
+      customerPrivacy.setTrackingConsent(toTrackingConsent(consent), (result) => {
+        if (result && result.error) {
+          console.warn('Privacy popup: Unable to set tracking consent', result.error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Map a consent record onto Google Consent Mode v2 consent types
+   */
+  function toConsentModeState(consent) {
+    const grant = (granted) => granted ? 'granted' : 'denied';
+    return {
+      ad_storage: grant(consent.categories.marketing),
+      ad_user_data: grant(consent.categories.marketing),
+      ad_personalization: grant(consent.categories.marketing),
+      analytics_storage: grant(consent.categories.analytics),
+      functionality_storage: grant(consent.categories.preferences),
+      personalization_storage: grant(consent.categories.preferences),
+      security_storage: 'granted'
+    };
+  }
+
+  /**
+   * Send a Google Consent Mode update when the merchant has opted in.
+   * Defaults are emitted inline by the app embed block before any tag loads.
+   */
+  function updateConsentMode(popup, consent) {
+    if (popup.dataset.consentMode !== 'true') return;
+
+    window.dataLayer = window.dataLayer || [];
+    const gtag = window.gtag || function() { window.dataLayer.push(arguments); };
+    gtag('consent', 'update', toConsentModeState(consent));
+  }
+
+  // Blocked scripts already queued for activation, so overlapping calls don't run them twice
+  const activatedScripts = new WeakSet();
+
+  /**
+   * Run a script held back with `type="text/plain"`, resolving once it has executed
+   */
+  function activateScript(blockedScript) {
+    return new Promise((resolve) => {
+      const script = document.createElement('script');
+      Array.from(blockedScript.attributes).forEach((attribute) => {
+        if (attribute.name !== 'type' && attribute.name !== 'data-type') {
+          script.setAttribute(attribute.name, attribute.value);
+        }
+      });
+      if (blockedScript.dataset.type) {
+        script.type = blockedScript.dataset.type;
+      }
+
+      if (script.src) {
+        // Keep insertion order for scripts that depend on each other, as the parser would
+        script.async = blockedScript.hasAttribute('async');
+        script.addEventListener('load', () => resolve());
+        script.addEventListener('error', () => resolve());
+      } else {
+        script.text = blockedScript.text;
+      }
+
+      blockedScript.replaceWith(script);
+      if (!script.src) resolve();
+    });
+  }
+
+  /**
+   * Activate scripts and iframes tagged with `data-consent-category` whose category is granted.
+   * Scripts run one after another in document order.
+   */
+  function activateBlockedContent(consent) {
+    const isGranted = (element) => consent.categories[element.dataset.consentCategory] === true;
+
+    document.querySelectorAll('iframe[data-consent-category][data-src]').forEach((iframe) => {
+      if (!isGranted(iframe)) return;
+      iframe.src = iframe.dataset.src;
+      iframe.removeAttribute('data-src');
+    });
+
+    const scripts = Array.from(document.querySelectorAll('script[type="text/plain"][data-consent-category]'))
+      .filter((script) => isGranted(script) && !activatedScripts.has(script));
+    scripts.forEach((script) => activatedScripts.add(script));
+
+    return scripts.reduce(
+      (previous, script) => previous.then(() => activateScript(script)),
+      Promise.resolve()
+    );
+  }
+
+  /**
+   * Split a comma-separated data attribute into a list
+   */
+  function splitList(value) {
+    return value ? value.split(',').map((item) => item.trim()).filter(Boolean) : [];
+  }
+
+  /**
+   * Work out where the visitor is. Prefers the Customer Privacy API region, which
+   * includes the state or province, over the storefront's localization country.
+   */
+  function resolveLocation(popup, customerPrivacy) {
+    if (customerPrivacy && typeof customerPrivacy.getRegion === 'function') {
+      const region = (customerPrivacy.getRegion() || '').toUpperCase();
+      if (region.length >= 2) {
+        return { country: region.slice(0, 2), subdivision: region.slice(2) };
+      }
+    }
+
+    const country = popup.dataset.country || (window.Shopify && window.Shopify.country) || '';
+    return { country: country.toUpperCase(), subdivision: '' };
+  }
+
+  /**
+   * Check a location against a country (`US`) or subdivision (`US-CA`) code.
+   * When the visitor's subdivision is unknown, subdivision codes match the whole country.
+   */
+  function matchesRegion(location, code) {
+    const parts = code.split('-');
+    if (parts[0] !== location.country) return false;
+    return !parts[1] || !location.subdivision || parts[1] === location.subdivision;
+  }
+
+  /**
+   * Pick the banner variant for the visitor's location, or null when the popup should not show
+   */
+  function selectVariant(popup, location) {
+    const ccpaRegions = splitList(popup.dataset.ccpaRegions);
+    if (location.country && ccpaRegions.some((code) => matchesRegion(location, code))) {
+      return 'ccpa';
+    }
+
+    const mode = popup.dataset.geoMode || 'all';
+    // Fail towards showing the popup when the visitor's country is unknown
+    if (mode === 'all' || !location.country) return 'default';
+
+    const codes = splitList(popup.dataset.geoCountries);
+    splitList(popup.dataset.geoGroups).forEach((group) => {
+      codes.push.apply(codes, REGION_GROUPS[group] || []);
+    });
+
+    const listed = codes.some((code) => matchesRegion(location, code));
+    return (mode === 'include') === listed ? 'default' : null;
+  }
+
+  /**
+   * Show the content for one banner variant and hide the others
+   */
+  function applyVariant(popup, variant) {
+    popup.dataset.activeVariant = variant;
+    popup.querySelectorAll('[data-variant]').forEach((content) => {
+      content.hidden = content.dataset.variant !== variant;
+    });
+
+    // Point the dialog's accessible name and description at the visible content
+    const container = popup.querySelector('.privacy-popup-container');
+    const content = popup.querySelector(`[data-variant="${variant}"]`);
+    const title = content && content.querySelector('.privacy-popup-title');
+    const text = content && content.querySelector('.privacy-popup-text');
+    if (container && title && title.id) container.setAttribute('aria-labelledby', title.id);
+    if (container && text && text.id) container.setAttribute('aria-describedby', text.id);
+  }
+
+  /**
+   * Pick the visitor's A/B test variant by traffic weight. The choice is kept in localStorage
+   * so visitors see the same popup on every page, until their variant stops running.
+   */
+  function assignTestVariant(testVariants) {
+    let assigned = null;
+    try {
+      assigned = localStorage.getItem(AB_VARIANT_KEY);
+    } catch (e) {
+      // Assign a variant for this page view only
+    }
+    if (assigned === AB_CONTROL_ID || testVariants.some((variant) => variant.id === assigned && variant.weight > 0)) {
+      return assigned;
+    }
+
+    // Variants take their share of 100; the control popup gets the rest
+    let roll = Math.random() * 100;
+    assigned = AB_CONTROL_ID;
+    for (const variant of testVariants) {
+      if (roll < variant.weight) {
+        assigned = variant.id;
+        break;
+      }
+      roll -= variant.weight;
+    }
+
+    try {
+      localStorage.setItem(AB_VARIANT_KEY, assigned);
+    } catch (e) {
+      console.warn('Privacy popup: Unable to save to localStorage');
+    }
+    return assigned;
+  }
+
+  /**
+   * Position a variant's popup is shown in, mapped through the layout like the block does:
+   * bars follow the position, the corner box sits at the bottom, and the modal and side panel are centered
+   */
+  function layoutPosition(popup, position) {
+    switch (popup.dataset.layout) {
+      case 'bar':
+        return position === 'center' ? 'bottom' : position;
+      case 'corner':
+        return 'bottom';
+      case 'modal':
+      case 'side-panel':
+        return 'center';
+      default:
+        return position;
+    }
+  }
+
+  /**
+   * Apply the overrides of the visitor's A/B test variant to the default banner
+   */
+  function applyTestVariant(popup) {
+    let testVariants;
+    try {
+      testVariants = JSON.parse(popup.dataset.abVariants || '[]');
+    } catch (e) {
+      testVariants = [];
+    }
+    if (!testVariants.length) return;
+
+    const variantId = assignTestVariant(testVariants);
+    popup.dataset.testVariant = variantId;
+    const variant = testVariants.find((candidate) => candidate.id === variantId);
+    if (!variant) return;
+
+    const overrides = variant.overrides || {};
+    const content = popup.querySelector('[data-variant="default"]');
+    const translatedFields = (popup.dataset.translatedFields || '').split(',');
+    const copy = {
+      popup_title: '.privacy-popup-title',
+      popup_text: '.privacy-popup-text',
+      accept_text: '.privacy-popup-accept',
+      decline_text: '.privacy-popup-decline'
+    };
+    Object.keys(copy).forEach((field) => {
+      const element = content.querySelector(copy[field]);
+      if (!element || typeof overrides[field] !== 'string' || translatedFields.includes(field)) return;
+      if (field === 'popup_text') {
+        // Same formatting as the block's newline_to_br, without parsing the text as HTML
+        element.textContent = '';
+        overrides[field].split('\n').forEach((line, index) => {
+          if (index > 0) element.appendChild(document.createElement('br'));
+          element.appendChild(document.createTextNode(line));
+        });
+      } else {
+        element.textContent = overrides[field];
+      }
+    });
+
+    const declineButton = content.querySelector('.privacy-popup-decline');
+    if (declineButton && typeof overrides.show_decline === 'boolean') {
+      declineButton.hidden = !overrides.show_decline;
+    }
+
+    if (overrides.position) {
+      const position = layoutPosition(popup, overrides.position);
+      popup.classList.remove('position-top', 'position-bottom', 'position-center');
+      popup.classList.add('position-' + position);
+
+      const container = popup.querySelector('.privacy-popup-container');
+      if (position === 'center') {
+        container.setAttribute('role', 'dialog');
+        container.setAttribute('aria-modal', 'true');
+      } else {
+        container.setAttribute('role', 'region');
+        container.removeAttribute('aria-modal');
+      }
+    }
+  }
+
+  /**
+   * Decide whether the popup is still needed once Shopify's consent state is known.
+   * Adopts consent the visitor already gave through Shopify so both stay in sync.
+   */
+  function needsPopup(popup, customerPrivacy, variant) {
+    if (!customerPrivacy) return true;
+
+    // Shopify's record predates a policy change when ours is outdated, so it can't be adopted
+    const existingConsent = !getStoredConsent() && getCustomerPrivacyConsent(customerPrivacy);
+    if (existingConsent) {
+      const consent = saveConsent(existingConsent);
+      updateConsentMode(popup, consent);
+      activateBlockedContent(consent);
+      return false;
+    }
+
+    // The opt-out notice is required by US state law even where Shopify shows no consent banner
+    if (variant === 'ccpa') return true;
+
+    if (typeof customerPrivacy.shouldShowBanner === 'function' && !customerPrivacy.shouldShowBanner()) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Turn a URL glob into a regular expression: `*` matches within one path segment,
+   * `**` across segments, and a trailing slash is optional
+   */
+  function globToRegExp(glob) {
+    const source = glob
+      .replace(/\/+$/, '')
+      .split(/(\*\*|\*)/)
+      .map((part) => {
+        if (part === '**') return '.*';
+        if (part === '*') return '[^/]*';
+        return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    return new RegExp(`^${source}/?$`, 'i');
+  }
+
+  /**
+   * Current path without the locale prefix, so `/pages/*` also matches `/de/pages/...`
+   */
+  function currentPath() {
+    const root = (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/';
+    const path = window.location.pathname;
+    return root !== '/' && path.startsWith(root) ? path.slice(root.length - 1) : path;
+  }
+
+  /**
+   * Check the page against the popup's template and URL rules
+   */
+  function matchesPageRules(popup) {
+    const mode = popup.dataset.pageMode || 'all';
+    if (mode === 'all') return true;
+
+    const path = currentPath();
+    const matched = splitList(popup.dataset.pageTemplates).includes(popup.dataset.template) ||
+      splitList(popup.dataset.pageUrls).some((glob) => globToRegExp(glob).test(path));
+    return mode === 'include' ? matched : !matched;
+  }
+
+  /**
+   * Count this page view towards the popup's page-view rule
+   * @returns {number} Pages the undecided visitor has seen, including this one
+   */
+  function countPageView() {
+    try {
+      const views = (parseInt(localStorage.getItem(PAGE_VIEWS_KEY)) || 0) + 1;
+      localStorage.setItem(PAGE_VIEWS_KEY, String(views));
+      return views;
+    } catch (e) {
+      return 1;
+    }
+  }
+
+  /**
+   * How far down the page the visitor has scrolled, in percent
+   */
+  function scrollDepth() {
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    return scrollable > 0 ? (window.scrollY / scrollable) * 100 : 100;
+  }
+
+  /**
+   * Wait until the popup's trigger rules are met: its delay has passed and, when set,
+   * the visitor has scrolled far enough or is about to leave, whichever comes first.
+   * Touch devices have no exit intent, so that rule alone falls back to the delay.
+   */
+  function waitForTrigger(popup, delay) {
+    const minScrollDepth = parseInt(popup.dataset.triggerScroll) || 0;
+    const exitIntent = popup.dataset.triggerExitIntent === 'true' &&
+      (typeof window.matchMedia !== 'function' || window.matchMedia('(hover: hover)').matches);
+    const delayed = new Promise((resolve) => setTimeout(resolve, delay * 1000));
+    if (!minScrollDepth && !exitIntent) return delayed;
+
+    const engaged = new Promise((resolve) => {
+      const listeners = [];
+      const listen = (target, type, handler) => {
+        target.addEventListener(type, handler, { passive: true });
+        listeners.push(() => target.removeEventListener(type, handler));
+      };
+      const trigger = () => {
+        listeners.forEach((remove) => remove());
+        resolve();
+      };
+
+      if (minScrollDepth) {
+        const onScroll = () => {
+          if (scrollDepth() >= minScrollDepth) trigger();
+        };
+        listen(window, 'scroll', onScroll);
+        onScroll();
+      }
+
+      // The pointer leaving through the top edge heads for the tabs, address bar or close button
+      if (exitIntent) {
+        listen(document, 'mouseout', (event) => {
+          if (!event.relatedTarget && event.clientY <= 0) trigger();
+        });
+      }
+    });
+
+    return Promise.all([delayed, engaged]);
+  }
+
+  // CSS custom properties the block sets for colors, typography and shape
+  const THEME_PROPERTIES = [
+    '--popup-bg-color',
+    '--popup-text-color',
+    '--popup-accept-color',
+    '--popup-accept-text-color',
+    '--popup-secondary-color',
+    '--popup-secondary-text-color',
+    '--popup-font-family',
+    '--popup-font-size',
+    '--popup-radius',
+    '--popup-shadow'
+  ];
+
   /**
    * Apply custom styles from theme settings
    */
@@ -71,15 +957,11 @@
     if (!container) return;
 
     // Apply CSS custom properties for theming
-    if (settings.backgroundColor) {
-      container.style.setProperty('--popup-bg-color', settings.backgroundColor);
-    }
-    if (settings.textColor) {
-      container.style.setProperty('--popup-text-color', settings.textColor);
-    }
-    if (settings.acceptButtonColor) {
-      container.style.setProperty('--popup-accept-color', settings.acceptButtonColor);
-    }
+    Object.entries(settings.theme).forEach(([property, value]) => {
+      if (value) {
+        container.style.setProperty(property, value);
+      }
+    });
 
     // Apply position class
     if (settings.position) {
@@ -87,6 +969,63 @@
     }
   }
 
+  // Element that had focus before each popup opened, restored when it closes
+  const previousFocus = new WeakMap();
+
+  /**
+   * The centered popup is a modal dialog; top and bottom bars are non-modal regions
+   */
+  function isModal(popup) {
+    return popup.classList.contains('position-center');
+  }
+
+  function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  /**
+   * Focusable elements in the visible part of the popup, in tab order
+   */
+  function getFocusableElements(popup) {
+    return Array.from(popup.querySelectorAll(FOCUSABLE_SELECTOR))
+      .filter((element) => !element.closest('[hidden]'));
+  }
+
+  /**
+   * Close the open popup on Escape and keep Tab focus inside the modal dialog
+   */
+  function handleKeydown(popup, event) {
+    if (!popup.classList.contains('show')) return;
+
+    if (event.key === 'Escape') {
+      // Left to the theme when the merchant ignores dismissals
+      if (handleDismiss(popup)) {
+        event.preventDefault();
+      }
+      return;
+    }
+
+    if (event.key !== 'Tab' || !isModal(popup)) return;
+
+    const focusable = getFocusableElements(popup);
+    if (!focusable.length) {
+      event.preventDefault();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (event.shiftKey && (active === first || !focusable.includes(active))) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && active === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
   /**
    * Show the popup with animation
    */
@@ -96,6 +1035,17 @@
       // Force reflow before adding show class
       popup.offsetHeight;
       popup.classList.add('show');
+
+      // Visitors reviewing an earlier choice are not counted as impressions
+      if (!hasAcceptedPrivacy()) {
+        trackEvent(popup, 'impression');
+      }
+
+      previousFocus.set(popup, document.activeElement);
+      // Move focus into the modal dialog so screen readers announce it; bars leave focus where it is
+      if (isModal(popup)) {
+        popup.querySelector('.privacy-popup-container').focus();
+      }
     }, delay * 1000);
   }
 
@@ -104,29 +1054,116 @@
    */
   function hidePopup(popup) {
     popup.classList.remove('show');
+
+    // Return focus to where the visitor was, unless they already moved it elsewhere
+    const returnFocus = previousFocus.get(popup);
+    previousFocus.delete(popup);
+    if (popup.contains(document.activeElement) && returnFocus && document.contains(returnFocus)) {
+      returnFocus.focus();
+    }
+
     setTimeout(() => {
       popup.style.display = 'none';
-    }, 300);
+    }, prefersReducedMotion() ? 0 : HIDE_ANIMATION_MS);
   }
 
   /**
    * Handle accept button click
    */
   function handleAccept(popup) {
-    markAsAccepted();
+    const consent = markAsAccepted();
+    setCustomerPrivacyConsent(consent);
+    updateConsentMode(popup, consent);
+    activateBlockedContent(consent);
+    recordConsent(popup, consent, 'accepted');
+    trackEvent(popup, 'accept');
     hidePopup(popup);
     
     // Trigger custom event for analytics/tracking
     if (typeof window.dataLayer !== 'undefined') {
       window.dataLayer.push({
         event: 'privacy_popup_accepted',
-        popup_id: popup.dataset.popupId
+        popup_id: popup.dataset.popupId,
+        consent_categories: consent.categories
       });
     }
 
     // Dispatch custom event
     window.dispatchEvent(new CustomEvent('privacyPopupAccepted', {
-      detail: { popupId: popup.dataset.popupId }
+      detail: { popupId: popup.dataset.popupId, consent: consent }
+    }));
+  }
+
+  /**
+   * Handle "Do not sell or share" opt-out click in the US state privacy notice
+   */
+  function handleOptOut(popup) {
+    const consent = saveConsent({ analytics: true, marketing: false, preferences: true }, 'opted_out');
+    setCustomerPrivacyConsent(consent);
+    updateConsentMode(popup, consent);
+    activateBlockedContent(consent);
+    recordConsent(popup, consent, 'opted_out');
+    trackEvent(popup, 'decline');
+    hidePopup(popup);
+
+    // Trigger custom event for analytics/tracking
+    if (typeof window.dataLayer !== 'undefined') {
+      window.dataLayer.push({
+        event: 'privacy_popup_opted_out',
+        popup_id: popup.dataset.popupId,
+        consent_categories: consent.categories
+      });
+    }
+
+    // Dispatch custom event
+    window.dispatchEvent(new CustomEvent('privacyPopupOptedOut', {
+      detail: { popupId: popup.dataset.popupId, consent: consent }
+    }));
+  }
+
+  /**
+   * Show or hide the preferences panel
+   */
+  function togglePreferences(popup) {
+    const panel = popup.querySelector('.privacy-popup-preferences');
+    const toggle = popup.querySelector('.privacy-popup-preferences-toggle');
+    if (!panel) return;
+
+    panel.hidden = !panel.hidden;
+    if (toggle) {
+      toggle.setAttribute('aria-expanded', String(!panel.hidden));
+    }
+  }
+
+  /**
+   * Handle save preferences button click
+   */
+  function handleSavePreferences(popup) {
+    const granted = {};
+    popup.querySelectorAll('.privacy-popup-category-toggle').forEach((toggle) => {
+      granted[toggle.dataset.category] = toggle.checked;
+    });
+
+    const consent = saveConsent(granted, 'custom');
+    setCustomerPrivacyConsent(consent);
+    updateConsentMode(popup, consent);
+    activateBlockedContent(consent);
+    recordConsent(popup, consent, 'custom');
+    trackEvent(popup, 'preferences_change');
+    hidePopup(popup);
+
+    // Trigger custom event for analytics/tracking
+    if (typeof window.dataLayer !== 'undefined') {
+      window.dataLayer.push({
+        event: 'privacy_popup_preferences_saved',
+        popup_id: popup.dataset.popupId,
+        consent_categories: consent.categories
+      });
+    }
+
+    // Dispatch custom event
+    window.dispatchEvent(new CustomEvent('privacyPopupPreferencesSaved', {
+      detail: { popupId: popup.dataset.popupId, consent: consent }
     }));
   }
 
@@ -134,6 +1171,11 @@
    * Handle decline button click
    */
   function handleDecline(popup) {
+    const consent = saveConsent({}, 'declined');
+    setCustomerPrivacyConsent(consent);
+    updateConsentMode(popup, consent);
+    recordConsent(popup, consent, 'declined');
+    trackEvent(popup, 'decline');
     hidePopup(popup);
     
     // Trigger custom event for analytics/tracking
@@ -146,34 +1188,137 @@
 
     // Dispatch custom event
     window.dispatchEvent(new CustomEvent('privacyPopupDeclined', {
-      detail: { popupId: popup.dataset.popupId }
+      detail: { popupId: popup.dataset.popupId, consent: consent }
     }));
   }
 
   /**
-   * Initialize popup functionality
+   * Handle a click on the overlay or the Escape key, as configured by the merchant:
+   * close for this browser session, count it as declining, or ignore it
+   * @returns {boolean} Whether the popup handled it
    */
-  function initializePopup(popup) {
-    const popupId = popup.dataset.popupId;
-    
-    // Check if already accepted
+  function handleDismiss(popup) {
+    // Visitors who reopened the popup to review their choices can always close it
     if (hasAcceptedPrivacy()) {
-      return;
+      hidePopup(popup);
+      return true;
+    }
+
+    const behavior = popup.dataset.dismissBehavior || 'session';
+    if (behavior === 'decline') {
+      handleDecline(popup);
+    } else if (behavior === 'session') {
+      dismissForSession();
+      trackEvent(popup, 'dismiss');
+      hidePopup(popup);
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Handle withdraw consent button click
+   */
+  function handleRevoke(popup) {
+    const consent = buildConsent({});
+    clearConsent();
+    setCustomerPrivacyConsent(consent);
+    updateConsentMode(popup, consent);
+    recordConsent(popup, consent, 'revoked');
+    trackEvent(popup, 'preferences_change');
+    hidePopup(popup);
+
+    // Trigger custom event for analytics/tracking
+    if (typeof window.dataLayer !== 'undefined') {
+      window.dataLayer.push({
+        event: 'privacy_popup_consent_revoked',
+        popup_id: popup.dataset.popupId
+      });
     }
+  }
+
+  /**
+   * Reopen the popup on the preferences view, showing the visitor's current choices
+   */
+  function openPreferences(popup) {
+    const consent = getConsent();
+
+    loadCustomerPrivacy().then((customerPrivacy) => {
+      const location = resolveLocation(popup, customerPrivacy);
+      popup.dataset.visitorCountry = location.country;
+
+      // Visitors outside the popup's regions still get to change their mind
+      const variant = selectVariant(popup, location) || 'default';
+      applyVariant(popup, variant);
+
+      const panel = popup.querySelector('.privacy-popup-preferences');
+      if (variant === 'default' && panel) {
+        popup.querySelectorAll('.privacy-popup-category-toggle').forEach((toggle) => {
+          if (toggle.dataset.category !== 'necessary') {
+            toggle.checked = !!(consent && consent.categories[toggle.dataset.category]);
+          }
+        });
+        panel.hidden = false;
+
+        const toggle = popup.querySelector('.privacy-popup-preferences-toggle');
+        if (toggle) toggle.setAttribute('aria-expanded', 'true');
+
+        const revokeButton = popup.querySelector('.privacy-popup-revoke');
+        if (revokeButton) revokeButton.hidden = !consent;
+      }
+
+      showPopup(popup, 0);
+      // Bars leave focus alone when they appear on their own, but here the visitor asked for them
+      setTimeout(() => popup.querySelector('.privacy-popup-container').focus(), 0);
+    });
+  }
+
+  /**
+   * Open the popup from any `[data-privacy-popup-open]` element, e.g. a footer link.
+   * The attribute may name a popup block ID; otherwise the first popup opens.
+   */
+  function handleOpenClick(e) {
+    const trigger = e.target.closest && e.target.closest('[data-privacy-popup-open]');
+    if (!trigger) return;
+
+    const popupId = trigger.getAttribute('data-privacy-popup-open');
+    const popup = popupId
+      ? document.querySelector(`.privacy-popup-overlay[data-popup-id="${popupId}"]`)
+      : document.querySelector('.privacy-popup-overlay');
+    if (!popup) return;
+
+    e.preventDefault();
+    openPreferences(popup);
+  }
+
+  /**
+   * Initialize popup functionality
+   */
+  function initializePopup(popup) {
+    configurePolicy(popup);
+    configureStorage(popup);
+    applyTestVariant(popup);
 
     // Get settings from data attributes or use defaults
+    const containerStyle = getComputedStyle(popup.querySelector('.privacy-popup-container'));
     const settings = {
       position: popup.classList.contains('position-top') ? 'top' : 
                 popup.classList.contains('position-center') ? 'center' : 'bottom',
-      delay: parseInt(popup.dataset.delay) || 2,
-      backgroundColor: getComputedStyle(popup.querySelector('.privacy-popup-container')).getPropertyValue('--popup-bg-color'),
-      textColor: getComputedStyle(popup.querySelector('.privacy-popup-container')).getPropertyValue('--popup-text-color'),
-      acceptButtonColor: getComputedStyle(popup.querySelector('.privacy-popup-container')).getPropertyValue('--popup-accept-color')
+      delay: isNaN(parseInt(popup.dataset.delay)) ? 2 : parseInt(popup.dataset.delay),
+      theme: Object.fromEntries(THEME_PROPERTIES.map(property => [property, containerStyle.getPropertyValue(property)]))
     };
 
     // Apply custom styles
     applyCustomStyles(popup, settings);
 
+    // Explain what changed to visitors re-prompted after a policy update
+    const storedConsent = getStoredConsent();
+    const changelog = popup.querySelector('.privacy-popup-changelog');
+    if (changelog && storedConsent && String(storedConsent.policy_version || '1') !== policy.version) {
+      changelog.hidden = false;
+    }
+
     // Set up event listeners
     const acceptButton = popup.querySelector('.privacy-popup-accept');
     const declineButton = popup.querySelector('.privacy-popup-decline');
@@ -186,15 +1331,91 @@
       declineButton.addEventListener('click', () => handleDecline(popup));
     }
 
-    // Close popup when clicking overlay (but not the content)
+    const preferencesToggle = popup.querySelector('.privacy-popup-preferences-toggle');
+    const savePreferencesButton = popup.querySelector('.privacy-popup-save-preferences');
+
+    if (preferencesToggle) {
+      preferencesToggle.addEventListener('click', () => togglePreferences(popup));
+    }
+
+    if (savePreferencesButton) {
+      savePreferencesButton.addEventListener('click', () => handleSavePreferences(popup));
+    }
+
+    // Stands in for the decline button in the preferences panel on plans without categories
+    const preferencesDeclineButton = popup.querySelector('.privacy-popup-preferences-decline');
+    if (preferencesDeclineButton) {
+      preferencesDeclineButton.addEventListener('click', () => handleDecline(popup));
+    }
+
+    const ccpaAcknowledgeButton = popup.querySelector('.privacy-popup-ccpa-acknowledge');
+    const ccpaOptOutButton = popup.querySelector('.privacy-popup-ccpa-opt-out');
+
+    if (ccpaAcknowledgeButton) {
+      ccpaAcknowledgeButton.addEventListener('click', () => handleAccept(popup));
+    }
+
+    if (ccpaOptOutButton) {
+      ccpaOptOutButton.addEventListener('click', () => handleOptOut(popup));
+    }
+
+    // Treat clicks on the overlay (but not the content) like Escape
     popup.addEventListener('click', (e) => {
       if (e.target === popup) {
-        hidePopup(popup);
+        handleDismiss(popup);
       }
     });
 
-    // Show popup after delay
-    showPopup(popup, settings.delay);
+    // Only while focus is inside, so Escape meant for the theme, e.g. its cart drawer, never counts as a choice
+    popup.addEventListener('keydown', (e) => handleKeydown(popup, e));
+
+    // Bring focus back if it leaves the open modal dialog, e.g. through a click outside the window
+    document.addEventListener('focusin', (e) => {
+      if (isModal(popup) && popup.classList.contains('show') && !popup.contains(e.target)) {
+        const focusable = getFocusableElements(popup);
+        (focusable[0] || popup.querySelector('.privacy-popup-container')).focus();
+      }
+    });
+
+    const revokeButton = popup.querySelector('.privacy-popup-revoke');
+    if (revokeButton) {
+      revokeButton.addEventListener('click', () => handleRevoke(popup));
+    }
+
+    // Check if already accepted under the current policy; the popup then only opens on request
+    if (hasAcceptedPrivacy()) {
+      activateBlockedContent(getConsent());
+
+      // Make sure Shopify knows about choices stored before the Customer Privacy API was wired in
+      loadCustomerPrivacy().then((customerPrivacy) => {
+        if (customerPrivacy && !getCustomerPrivacyConsent(customerPrivacy)) {
+          setCustomerPrivacyConsent(getConsent());
+        }
+      });
+      return;
+    }
+
+    const pageViews = countPageView();
+    if (!matchesPageRules(popup) || isDismissedForSession()) return;
+    if (pageViews < (parseInt(popup.dataset.triggerPageViews) || 1)) return;
+
+    // Show popup once its trigger rules are met, unless the visitor's region is excluded or
+    // Shopify says consent is not required or already given
+    loadCustomerPrivacy().then((customerPrivacy) => {
+      const location = resolveLocation(popup, customerPrivacy);
+      popup.dataset.visitorCountry = location.country;
+
+      const variant = selectVariant(popup, location);
+      if (variant && needsPopup(popup, customerPrivacy, variant)) {
+        applyVariant(popup, variant);
+        waitForTrigger(popup, settings.delay).then(() => {
+          // The visitor may have opened the popup or decided from a link in the meantime
+          if (!popup.classList.contains('show') && !hasAcceptedPrivacy()) {
+            showPopup(popup);
+          }
+        });
+      }
+    });
   }
 
   /**
@@ -203,6 +1424,9 @@
   function initializeAllPopups() {
     const popups = document.querySelectorAll('.privacy-popup-overlay');
     popups.forEach(initializePopup);
+    updateReopenWidgets();
+    updateDeclarations();
+    document.addEventListener('click', handleOpenClick);
   }
 
   // Initialize when DOM is ready
@@ -214,8 +1438,12 @@
 
   // Expose utility functions for external use
   window.PrivacyPopup = {
-    hasAccepted: hasAcceptedPrivacy,
+    hasAccepted: hasAcceptedConsent,
+    hasDecided: hasAcceptedPrivacy,
     markAsAccepted: markAsAccepted,
+    getConsent: getConsent,
+    hasConsent: hasConsent,
+    getVisitorId: getVisitorId,
     showPopup: function(popupId) {
       const popup = document.querySelector(`[data-popup-id="${popupId}"]`);
       if (popup) showPopup(popup, 0);
@@ -223,6 +1451,12 @@
     hidePopup: function(popupId) {
       const popup = document.querySelector(`[data-popup-id="${popupId}"]`);
       if (popup) hidePopup(popup);
+    },
+    openPreferences: function(popupId) {
+      const popup = popupId
+        ? document.querySelector(`.privacy-popup-overlay[data-popup-id="${popupId}"]`)
+        : document.querySelector('.privacy-popup-overlay');
+      if (popup) openPreferences(popup);
     }
   };
 
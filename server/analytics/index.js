@@ -0,0 +1,153 @@
+import {
+  oneOf,
+  optional,
+  pattern,
+  validateObject
+} from '../settings/schema.js';
+import { dayOf, daysBetween, parseDateRange } from '../utils/dateRange.js';
+
+const MAX_RANGE_DAYS = 366;
+
+export const ANALYTICS_EVENTS = ['impression', 'accept', 'decline', 'dismiss', 'preferences_change'];
+
+const BREAKDOWNS = ['device', 'country', 'variant'];
+
+/**
+ * Fields the storefront script sends with each popup event.
+ * Beacons carry no visitor ID, so they can only be counted, not tied to a visitor.
+ */
+export const ANALYTICS_EVENT_SCHEMA = {
+  event: oneOf(ANALYTICS_EVENTS),
+  device: oneOf(['desktop', 'tablet', 'mobile']),
+  country: optional(pattern(/^[A-Z]{2}$/, 'Must be a two-letter country code')),
+  variant: optional(pattern(/^[a-z0-9_-]{1,32}$/, 'Must be a variant ID'))
+};
+
+/**
+ * Error thrown when a submitted analytics event fails validation
+ */
+export class AnalyticsEventError extends Error {
+  /**
+   * @param {Object<string, string>} errors - Field-level error messages
+   */
+  constructor(errors) {
+    super('Invalid analytics event');
+    this.name = 'AnalyticsEventError';
+    this.errors = errors;
+  }
+}
+
+const emptyCounts = () => Object.fromEntries(ANALYTICS_EVENTS.map(event => [event, 0]));
+
+/**
+ * Add one day's counts into a running total, in place
+ */
+function addCounts(total, counts) {
+  for (const event of ANALYTICS_EVENTS) {
+    total[event] += counts[event] || 0;
+  }
+  return total;
+}
+
+/**
+ * Parse an analytics date range from query parameters.
+ * Defaults to the last 30 days when no range is given.
+ * @param {Object} query - Request query (`from`, `to`)
+ * @returns {{ range?: { from: string, to: string }, error?: string }}
+ */
+export function parseAnalyticsRange(query) {
+  return parseDateRange(query, MAX_RANGE_DAYS);
+}
+
+/**
+ * Per-shop popup performance counters, aggregated per UTC day.
+ * Each day is one record holding totals plus the same counts broken down by device, country and variant.
+ * @param {import('../storage/index.js').KeyValueStore} store - Storage backend
+ */
+export function createConsentAnalytics(store) {
+  const keyFor = (shop, day) => `analytics:${shop}:${day}`;
+
+  // Updates are read-modify-write, so queue them per day to avoid losing counts within this instance
+  const pending = new Map();
+  const enqueue = (key, update) => {
+    const next = (pending.get(key) || Promise.resolve()).then(update);
+    const settled = next.catch(() => {});
+    pending.set(key, settled);
+    settled.then(() => {
+      if (pending.get(key) === settled) pending.delete(key);
+    });
+    return next;
+  };
+
+  return {
+    /**
+     * Validate an event and count it towards today's totals
+     * @param {string} shop - Shop domain
+     * @param {Object} input - Event sent by the storefront script
+     * @returns {Promise<void>}
+     * @throws {AnalyticsEventError} - When any field is invalid
+     */
+    async record(shop, input) {
+      const { value, errors } = validateObject(ANALYTICS_EVENT_SCHEMA, input || {});
+      if (errors) {
+        throw new AnalyticsEventError(errors);
+      }
+
+      const day = dayOf(new Date());
+      const key = keyFor(shop, day);
+      const buckets = {
+        device: value.device,
+        country: value.country || 'unknown',
+        variant: value.variant || 'default'
+      };
+
+      await enqueue(key, async () => {
+        const stats = await store.get(key) || { day, totals: emptyCounts(), device: {}, country: {}, variant: {} };
+        stats.totals[value.event] += 1;
+        for (const breakdown of BREAKDOWNS) {
+          const counts = stats[breakdown][buckets[breakdown]] ||= emptyCounts();
+          counts[value.event] += 1;
+        }
+        await store.set(key, stats);
+      });
+    },
+
+    /**
+     * Sum a shop's counters over a date range
+     * @param {string} shop - Shop domain
+     * @param {Object} range
+     * @param {string} range.from - First day to include (YYYY-MM-DD)
+     * @param {string} range.to - Last day to include (YYYY-MM-DD)
+     * @returns {Promise<Object>} - Daily totals, oldest first, plus range totals per device, country and variant
+     */
+    async summary(shop, { from, to }) {
+      const days = daysBetween(from, to).slice(0, MAX_RANGE_DAYS);
+      const stats = await Promise.all(days.map(day => store.get(keyFor(shop, day))));
+
+      const summary = { from, to, totals: emptyCounts(), days: [], device: {}, country: {}, variant: {} };
+      days.forEach((day, index) => {
+        const dayStats = stats[index];
+        summary.days.push({ day, ...addCounts(emptyCounts(), dayStats ? dayStats.totals : {}) });
+        if (!dayStats) return;
+
+        addCounts(summary.totals, dayStats.totals);
+        for (const breakdown of BREAKDOWNS) {
+          for (const [bucket, counts] of Object.entries(dayStats[breakdown])) {
+            addCounts(summary[breakdown][bucket] ||= emptyCounts(), counts);
+          }
+        }
+      });
+
+      return summary;
+    },
+
+    /**
+     * Delete all of a shop's counters
+     * @param {string} shop - Shop domain
+     */
+    async deleteShop(shop) {
+      const keys = await store.keys(`analytics:${shop}:`);
+      await Promise.all(keys.map(key => store.delete(key)));
+    }
+  };
+}
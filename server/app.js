@@ -0,0 +1,558 @@
+import express from 'express';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync } from 'fs';
+import { shopifyApp } from '@shopify/shopify-app-express';
+import { AUTH_PATH, AUTH_CALLBACK_PATH, WEBHOOKS_PATH } from './config.js';
+import { createStore } from './storage/index.js';
+import { createSettingsService, SettingsValidationError } from './settings/index.js';
+import { syncSettingsMetafield } from './settings/metafield.js';
+import { createConsentLog, ConsentRecordError, parseSearchFilters, toCsv } from './consent/index.js';
+import { createConsentAnalytics, AnalyticsEventError, parseAnalyticsRange } from './analytics/index.js';
+import { createBilling, requireFeature, BillingError, PLANS } from './billing/index.js';
+import { createDataRequests } from './privacy/index.js';
+import { createCookieScanner, loadStoreHosts } from './scanner/index.js';
+import { createSessionStorage } from './sessions/index.js';
+import { createWebhookHandlers, handleWebhook } from './webhooks/index.js';
+import { validateAppProxyRequest, validateWebhookRequest } from './utils/auth.js';
+import { rateLimit } from './utils/rateLimit.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Built admin frontend
+const DIST_DIR = join(__dirname, '../dist');
+
+// How long a running cookie scan keeps others for the same shop from starting
+const SCAN_LOCK_MS = 2 * 60 * 1000;
+
+/**
+ * Build the Express app with every route, shared by the Node server and the Vercel function
+ * @param {import('./config.js').AppConfig} config - Config from `loadConfig`
+ * @returns {import('express').Express}
+ */
+export function createApp(config) {
+  // Per-shop data storage
+  const store = createStore({ adapter: config.storageAdapter });
+  const sessionStorage = createSessionStorage(store, { secret: config.sessionSecret });
+
+  const shopify = shopifyApp({
+    api: {
+      apiKey: config.apiKey,
+      apiSecretKey: config.apiSecret,
+      scopes: config.scopes,
+      hostName: config.host.replace(/https?:\/\//, ''),
+      hostScheme: 'https',
+      apiVersion: '2024-10',
+    },
+    auth: {
+      path: AUTH_PATH,
+      callbackPath: AUTH_CALLBACK_PATH,
+    },
+    webhooks: {
+      path: WEBHOOKS_PATH,
+    },
+    // Offline tokens are always stored, so work outside the admin can call Shopify;
+    // online tokens additionally tie admin requests to the staff member using the app
+    useOnlineTokens: config.useOnlineTokens,
+    sessionStorage,
+  });
+
+  const settingsService = createSettingsService(store);
+  const consentLog = createConsentLog(store);
+  const consentAnalytics = createConsentAnalytics(store);
+  const dataRequests = createDataRequests(store, consentLog);
+  const billing = createBilling(store, {
+    api: shopify.api,
+    sessionStorage,
+    apiKey: config.apiKey,
+    test: config.billingTest
+  });
+  const cookieScanner = createCookieScanner(store);
+
+  /**
+   * Push a shop's settings, and the features its plan unlocks, to the app metafield read by the theme block
+   * @param {string} shop - Shop domain
+   * @param {Object} [session] - Session to fall back to when the shop has no offline session
+   * @returns {Promise<boolean>} - Whether the metafield was written
+   */
+  const syncStorefront = async (shop, session) => {
+    try {
+      // The offline token keeps working after a staff member's online session expires
+      const adminSession = await sessionStorage.loadOfflineSession(shop) || session;
+      const [settings, { plan }] = await Promise.all([settingsService.get(shop), billing.getState(shop)]);
+      await syncSettingsMetafield(shopify.api, adminSession, { ...settings, plan_features: plan.features });
+      return true;
+    } catch (error) {
+      console.error('Error syncing settings metafield:', error);
+      return false;
+    }
+  };
+
+  const webhookHandlers = createWebhookHandlers({
+    settingsService,
+    consentLog,
+    consentAnalytics,
+    dataRequests,
+    sessionStorage,
+    billing,
+    cookieScanner,
+    syncStorefront
+  });
+
+  const app = express();
+  // req.ip is then the address the last trusted proxy saw, which clients can't forge
+  app.set('trust proxy', config.trustProxy);
+
+  // Answer requests that hang instead of leaving them open
+  app.use((req, res, next) => {
+    const timeout = setTimeout(() => {
+      if (!res.headersSent) {
+        res.status(504).json({ error: 'Request timeout' });
+      }
+    }, config.requestTimeoutMs);
+
+    res.on('finish', () => clearTimeout(timeout));
+    res.on('close', () => clearTimeout(timeout));
+    next();
+  });
+
+  // Health check endpoint
+  app.get('/api/health', (req, res) => {
+    res.status(200).json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      version: '1.0.0'
+    });
+  });
+
+  // Shopify app validation endpoint
+  app.get('/api/app-info', (req, res) => {
+    res.status(200).json({
+      name: 'Privacy Popup',
+      version: '1.0.0',
+      type: 'shopify_app',
+      embedded: true,
+      scopes: config.scopes
+    });
+  });
+
+  // Configuration check endpoint
+  app.get('/api/config', (req, res) => {
+    res.status(200).json({
+      shopifyApiKey: config.apiKey !== 'missing' ? 'Set' : 'Missing',
+      shopifyApiSecret: config.apiSecret !== 'missing' ? 'Set' : 'Missing',
+      host: config.host,
+      scopes: config.scopes.join(','),
+      configured: config.apiKey !== 'missing' && config.apiSecret !== 'missing'
+    });
+  });
+
+  if (config.debugRoutes) {
+    mountDebugRoutes(app, config);
+  }
+
+  app.use(shopify.cspHeaders());
+
+  // OAuth, at the redirect URL registered in shopify.app.toml
+  app.get(AUTH_PATH, shopify.auth.begin());
+  app.get(AUTH_CALLBACK_PATH, shopify.auth.callback(), shopify.redirectToShopifyOrAppRoot());
+
+  // Opening the app from the admin: install it first if the shop has no session yet
+  app.get('/', (req, res, next) => {
+    if (!req.query.shop) {
+      return next();
+    }
+    return shopify.ensureInstalledOnShop()(req, res, next);
+  });
+
+  // Webhooks registered in shopify.app.toml, including the mandatory GDPR topics
+  for (const [topic, handler] of Object.entries(webhookHandlers)) {
+    app.post(
+      `${WEBHOOKS_PATH}/${topic}`,
+      express.raw({ type: 'application/json' }),
+      validateWebhookRequest(config.apiSecret),
+      handleWebhook(handler)
+    );
+  }
+
+  // Storefront consent log, reached through the App Proxy at /apps/privacy-popup/consent
+  app.post(
+    '/proxy/consent',
+    validateAppProxyRequest(config.apiSecret),
+    rateLimit({ store, windowMs: 60 * 1000, max: 20, key: (req) => `${req.query.shop}:${req.ip}` }),
+    requireFeature(billing, 'consent_log'),
+    express.json({ limit: '10kb', type: ['application/json', 'text/plain'] }),
+    async (req, res) => {
+      try {
+        // Shopify adds the logged-in customer to proxied requests, so GDPR requests can find their records
+        await consentLog.record(req.query.shop, req.body, { customerId: req.query.logged_in_customer_id });
+        res.status(201).json({ success: true });
+      } catch (error) {
+        if (error instanceof ConsentRecordError) {
+          return res.status(422).json({ error: error.message, errors: error.errors });
+        }
+        console.error('Error recording consent:', error);
+        res.status(500).json({ error: 'Failed to record consent' });
+      }
+    }
+  );
+
+  // Storefront popup analytics beacons, reached through the App Proxy at /apps/privacy-popup/analytics
+  app.post(
+    '/proxy/analytics',
+    validateAppProxyRequest(config.apiSecret),
+    rateLimit({ store, windowMs: 60 * 1000, max: 60, key: (req) => `${req.query.shop}:${req.ip}` }),
+    requireFeature(billing, 'analytics'),
+    express.json({ limit: '2kb', type: ['application/json', 'text/plain'] }),
+    async (req, res) => {
+      try {
+        await consentAnalytics.record(req.query.shop, req.body);
+        res.status(204).end();
+      } catch (error) {
+        if (error instanceof AnalyticsEventError) {
+          return res.status(422).json({ error: error.message, errors: error.errors });
+        }
+        console.error('Error recording analytics event:', error);
+        res.status(500).json({ error: 'Failed to record analytics event' });
+      }
+    }
+  );
+
+  // API routes (protected)
+  app.use('/api/*', (req, res, next) => {
+    // Skip auth for the public status endpoints
+    if (req.path === '/api/health' || req.path === '/api/config' || req.path === '/api/app-info') {
+      return next();
+    }
+    return shopify.validateAuthenticatedSession()(req, res, next);
+  });
+
+  app.get('/api/shop', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { Shop } = await import('@shopify/shopify-api/rest/admin/2024-10');
+
+      const shop = new Shop({ session });
+      const shopData = await shop.get({
+        fields: 'id,name,domain,email,plan_name,plan_display_name'
+      });
+
+      res.status(200).json(shopData);
+    } catch (error) {
+      console.error('Error fetching shop data:', error);
+      res.status(500).json({ error: 'Failed to fetch shop data' });
+    }
+  });
+
+  // Current plan. `refresh=1` re-reads it from Shopify, for when the merchant is back from approving a charge.
+  app.get('/api/billing', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const previous = await billing.getState(session.shop);
+      const state = req.query.refresh === '1' ? await billing.refresh(session.shop, session) : previous;
+
+      if (state.plan.id !== previous.plan.id) {
+        await syncStorefront(session.shop, session);
+      }
+
+      res.status(200).json({ ...state, plans: PLANS });
+    } catch (error) {
+      console.error('Error loading plan:', error);
+      res.status(500).json({ error: 'Failed to load plan' });
+    }
+  });
+
+  // Change plan: paid plans return the Shopify page where the merchant approves the charge
+  app.post('/api/billing/subscribe', express.json(), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { confirmationUrl, state } = await billing.subscribe(session, req.body?.plan_id);
+
+      if (state) {
+        await syncStorefront(session.shop, session);
+      }
+
+      res.status(200).json({ confirmationUrl, ...(state && { state }) });
+    } catch (error) {
+      if (error instanceof BillingError) {
+        return res.status(422).json({ error: error.message });
+      }
+      console.error('Error changing plan:', error);
+      res.status(500).json({ error: 'Failed to change plan' });
+    }
+  });
+
+  // Latest cookie scan of the shop's storefront, or null before the first one
+  app.get('/api/cookie-scan', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const scan = await cookieScanner.get(session.shop);
+
+      res.status(200).json(scan);
+    } catch (error) {
+      console.error('Error fetching cookie scan:', error);
+      res.status(500).json({ error: 'Failed to fetch cookie scan' });
+    }
+  });
+
+  // Scan the storefront; the scan's deadline keeps it within the request timeout, as
+  // serverless hosts stop work left running after the response
+  app.post('/api/cookie-scan', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const previous = await cookieScanner.get(session.shop);
+      // A scan cut short by a server restart doesn't block new ones for long
+      if (previous?.status === 'running' && Date.now() - Date.parse(previous.started_at) < SCAN_LOCK_MS) {
+        return res.status(409).json({ error: 'A scan is already running' });
+      }
+
+      const storeHosts = await loadStoreHosts(shopify.api, session);
+      const scan = await cookieScanner.run(session.shop, { storeHosts });
+      res.status(200).json(scan);
+    } catch (error) {
+      console.error('Error scanning storefront:', error);
+      res.status(500).json({ error: 'Failed to scan storefront' });
+    }
+  });
+
+  // App settings API
+  app.get('/api/settings', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const settings = await settingsService.get(session.shop);
+
+      res.status(200).json(settings);
+    } catch (error) {
+      console.error('Error fetching settings:', error);
+      res.status(500).json({ error: 'Failed to fetch settings' });
+    }
+  });
+
+  app.post('/api/settings', express.json(), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      // Paid features' settings only change on plans that include them
+      const { plan } = await billing.getState(session.shop);
+      const settings = await settingsService.save(session.shop, req.body, { features: plan.features });
+      const synced = await syncStorefront(session.shop, session);
+
+      res.status(200).json({ success: true, settings, synced });
+    } catch (error) {
+      if (error instanceof SettingsValidationError) {
+        return res.status(422).json({ error: error.message, errors: error.errors });
+      }
+      console.error('Error saving settings:', error);
+      res.status(500).json({ error: 'Failed to save settings' });
+    }
+  });
+
+  // End the A/B test and keep the winning variant
+  app.post('/api/ab-test/promote', requireFeature(billing, 'ab_testing'), express.json(), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const settings = await settingsService.promoteVariant(session.shop, req.body?.variant_id);
+      const synced = await syncStorefront(session.shop, session);
+
+      res.status(200).json({ success: true, settings, synced });
+    } catch (error) {
+      if (error instanceof SettingsValidationError) {
+        return res.status(422).json({ error: error.message, errors: error.errors });
+      }
+      console.error('Error promoting variant:', error);
+      res.status(500).json({ error: 'Failed to promote variant' });
+    }
+  });
+
+  // Consent log search and export
+  app.get('/api/consent-log', requireFeature(billing, 'consent_log'), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { filters, error } = parseSearchFilters(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const records = await consentLog.search(session.shop, filters);
+      res.status(200).json({ records: records.slice(0, 250), total: records.length, ...filters });
+    } catch (error) {
+      console.error('Error searching consent log:', error);
+      res.status(500).json({ error: 'Failed to search consent log' });
+    }
+  });
+
+  app.get('/api/consent-log/export', requireFeature(billing, 'consent_log'), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { filters, error } = parseSearchFilters(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const records = await consentLog.search(session.shop, filters);
+      const filename = `consent-log-${filters.from}-to-${filters.to}`;
+
+      if (req.query.format === 'csv') {
+        res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        return res.type('text/csv').status(200).send(toCsv(records));
+      }
+
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      res.status(200).json(records);
+    } catch (error) {
+      console.error('Error exporting consent log:', error);
+      res.status(500).json({ error: 'Failed to export consent log' });
+    }
+  });
+
+  // Customer data requests received through the customers/data_request webhook.
+  // Not plan-gated: merchants must be able to answer them on any plan.
+  app.get('/api/data-requests', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const requests = await dataRequests.list(session.shop);
+      res.status(200).json({ requests });
+    } catch (error) {
+      console.error('Error listing data requests:', error);
+      res.status(500).json({ error: 'Failed to list data requests' });
+    }
+  });
+
+  app.get('/api/data-requests/:id/export', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const request = await dataRequests.get(session.shop, req.params.id);
+      if (!request) {
+        return res.status(404).json({ error: 'Data request not found' });
+      }
+
+      const filename = `customer-${request.customer.id}-consent-${request.id}`;
+
+      if (req.query.format === 'csv') {
+        res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        return res.type('text/csv').status(200).send(toCsv(request.records));
+      }
+
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      res.status(200).json(request);
+    } catch (error) {
+      console.error('Error exporting data request:', error);
+      res.status(500).json({ error: 'Failed to export data request' });
+    }
+  });
+
+  // Popup performance over a date range
+  app.get('/api/analytics', requireFeature(billing, 'analytics'), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { range, error } = parseAnalyticsRange(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const summary = await consentAnalytics.summary(session.shop, range);
+      res.status(200).json(summary);
+    } catch (error) {
+      console.error('Error loading analytics:', error);
+      res.status(500).json({ error: 'Failed to load analytics' });
+    }
+  });
+
+  // Theme extension deep linking
+  app.get('/api/theme-extension/activate', async (req, res) => {
+    const session = res.locals.shopify.session;
+    const { template = 'index' } = req.query;
+
+    const activateUrl = `https://${session.shop}/admin/themes/current/editor?context=apps&template=${template}&activateAppId=${config.apiKey}/privacy-popup`;
+
+    res.redirect(activateUrl);
+  });
+
+  // Open the theme editor on the cookie policy page, adding the cookie declaration block
+  app.get('/api/theme-extension/add-declaration', async (req, res) => {
+    const session = res.locals.shopify.session;
+    const { page = 'cookie-policy' } = req.query;
+
+    const previewPath = encodeURIComponent(`/pages/${page}`);
+    const addUrl = `https://${session.shop}/admin/themes/current/editor?template=page&previewPath=${previewPath}&addAppBlockId=${config.apiKey}/cookie-declaration&target=newAppsSection`;
+
+    res.redirect(addUrl);
+  });
+
+  // Serve static files from the dist directory
+  app.use(express.static(DIST_DIR));
+
+  // Handle React routing - serve index.html for all non-API routes, including /exitiframe
+  app.get('*', (req, res, next) => {
+    if (req.path.startsWith('/api/')) {
+      return next();
+    }
+
+    try {
+      const indexHtml = readFileSync(join(DIST_DIR, 'index.html'), 'utf8');
+      res.send(indexHtml);
+    } catch (error) {
+      console.error('Error serving index.html:', error);
+      res.status(500).send('Internal Server Error');
+    }
+  });
+
+  // Global error handler, last so it catches errors from every route above
+  app.use((err, req, res, next) => {
+    console.error('Unhandled error:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return app;
+}
+
+/**
+ * OAuth troubleshooting routes, only mounted in development
+ * @param {import('express').Express} app
+ * @param {import('./config.js').AppConfig} config
+ */
+function mountDebugRoutes(app, config) {
+  const scopes = config.scopes.join(',');
+  const redirectUri = `${config.host}${AUTH_CALLBACK_PATH}`;
+
+  // Show the OAuth URL components without redirecting
+  app.get('/api/debug-oauth', (req, res) => {
+    const { shop } = req.query;
+
+    if (!shop) {
+      return res.status(400).json({ error: 'Shop parameter is required' });
+    }
+
+    res.json({
+      shop,
+      clientId: `${config.apiKey.substring(0, 8)}...`,
+      scopes,
+      redirectUri,
+      fullAuthUrl: `https://${shop}/admin/oauth/authorize?client_id=${config.apiKey}&scope=${scopes}&redirect_uri=${encodeURIComponent(redirectUri)}&state=debug`,
+      partnersAppUrl: config.host,
+      expectedCallback: redirectUri
+    });
+  });
+
+  // Start OAuth by hand, bypassing the Shopify middleware
+  app.get('/api/test-auth', (req, res) => {
+    const { shop } = req.query;
+
+    if (!shop) {
+      return res.status(400).json({ error: 'Shop parameter is required' });
+    }
+
+    const state = Math.random().toString(36).substring(7);
+    const authUrl = `https://${shop}/admin/oauth/authorize?` +
+      `client_id=${config.apiKey}&` +
+      `scope=${scopes}&` +
+      `redirect_uri=${encodeURIComponent(redirectUri)}&` +
+      `state=${state}`;
+
+    console.log('Manual OAuth URL:', authUrl);
+
+    res.redirect(authUrl);
+  });
+}
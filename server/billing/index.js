@@ -0,0 +1,228 @@
+import { FREE_PLAN_ID, findPlan, findPlanBySubscriptionName, subscriptionName } from './plans.js';
+
+export { FEATURES, PLANS } from './plans.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACTIVE_SUBSCRIPTIONS_QUERY = `#graphql
+  query ActiveSubscriptions {
+    currentAppInstallation {
+      activeSubscriptions {
+        id
+        name
+        status
+        trialDays
+        createdAt
+      }
+    }
+  }
+`;
+
+const SUBSCRIPTION_CREATE_MUTATION = `#graphql
+  mutation CreateSubscription(
+    $name: String!
+    $returnUrl: URL!
+    $trialDays: Int
+    $test: Boolean
+    $lineItems: [AppSubscriptionLineItemInput!]!
+  ) {
+    appSubscriptionCreate(name: $name, returnUrl: $returnUrl, trialDays: $trialDays, test: $test, lineItems: $lineItems) {
+      appSubscription {
+        id
+      }
+      confirmationUrl
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const SUBSCRIPTION_CANCEL_MUTATION = `#graphql
+  mutation CancelSubscription($id: ID!) {
+    appSubscriptionCancel(id: $id) {
+      appSubscription {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Error thrown when a plan change can't be made
+ */
+export class BillingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BillingError';
+  }
+}
+
+/**
+ * Shopify app subscriptions for the paid plans, with each shop's current plan
+ * cached in the key-value store so entitlement checks don't call Shopify.
+ * Shopify is the source of truth: the cache is refreshed when the merchant
+ * returns from approving a charge and on `app_subscriptions/update` webhooks.
+ * @param {import('../storage/index.js').KeyValueStore} store - Storage backend
+ * @param {Object} options
+ * @param {Object} options.api - The `shopify.api` object from shopifyApp
+ * @param {ReturnType<import('../sessions/index.js').createSessionStorage>} options.sessionStorage - To call Shopify without a merchant in the admin
+ * @param {string} options.apiKey - App API key, for the admin URL merchants return to
+ * @param {boolean} [options.test] - Create test charges, which are never billed
+ */
+export function createBilling(store, { api, sessionStorage, apiKey, test = false }) {
+  const keyFor = (shop) => `billing:${shop}`;
+
+  const graphql = async (session, query, variables) => {
+    const client = new api.clients.Graphql({ session });
+    const response = await client.query({ data: { query, variables } });
+    return response.body.data;
+  };
+
+  const load = async (shop) => {
+    const saved = await store.get(keyFor(shop));
+    return { plan_id: FREE_PLAN_ID, subscription_id: null, status: null, trial_ends_on: null, trial_started_at: null, ...saved };
+  };
+
+  return {
+    /**
+     * A shop's current plan and subscription
+     * @param {string} shop - Shop domain
+     * @returns {Promise<Object>} - `plan` with its features, plus the subscription `status` and `trial_ends_on`
+     */
+    async getState(shop) {
+      const { plan_id: planId, ...state } = await load(shop);
+      return { ...state, plan: findPlan(planId) || findPlan(FREE_PLAN_ID) };
+    },
+
+    /**
+     * Re-read a shop's subscription from Shopify and cache it
+     * @param {string} shop - Shop domain
+     * @param {Object} [session] - Session to call Shopify with, defaults to the shop's offline session
+     * @returns {Promise<Object>} - The state, as returned by `getState`
+     */
+    async refresh(shop, session) {
+      const adminSession = session || await sessionStorage.loadOfflineSession(shop);
+      if (!adminSession) {
+        throw new Error(`No session to check the subscription of shop: ${shop}`);
+      }
+
+      const data = await graphql(adminSession, ACTIVE_SUBSCRIPTIONS_QUERY);
+      const current = await load(shop);
+      const subscription = data.currentAppInstallation.activeSubscriptions
+        .find(candidate => candidate.status === 'ACTIVE' && findPlanBySubscriptionName(candidate.name));
+
+      const next = { ...current, plan_id: FREE_PLAN_ID, subscription_id: null, status: null, trial_ends_on: null };
+      if (subscription) {
+        const trialEndsOn = subscription.trialDays
+          ? new Date(Date.parse(subscription.createdAt) + subscription.trialDays * DAY_MS).toISOString()
+          : null;
+
+        Object.assign(next, {
+          plan_id: findPlanBySubscriptionName(subscription.name).id,
+          subscription_id: subscription.id,
+          status: subscription.status,
+          trial_ends_on: trialEndsOn,
+          // Trials count from the first paid subscription, so switching plans doesn't start a new one
+          trial_started_at: current.trial_started_at || (trialEndsOn && subscription.createdAt)
+        });
+      }
+
+      await store.set(keyFor(shop), { ...next, updated_at: new Date().toISOString() });
+      return this.getState(shop);
+    },
+
+    /**
+     * Move a shop to another plan. Paid plans need the merchant to approve the
+     * charge on Shopify first; the free plan cancels the current subscription.
+     * @param {Object} session - Authenticated Shopify session
+     * @param {string} planId - Plan to move to
+     * @returns {Promise<{ confirmationUrl?: string, state?: Object }>} - Where to send the merchant, or the new state
+     * @throws {BillingError} - When the plan doesn't exist or Shopify rejects the change
+     */
+    async subscribe(session, planId) {
+      const plan = findPlan(planId);
+      if (!plan) {
+        throw new BillingError(`Unknown plan: ${planId}`);
+      }
+
+      const current = await load(session.shop);
+
+      if (plan.id === FREE_PLAN_ID) {
+        if (current.subscription_id) {
+          const data = await graphql(session, SUBSCRIPTION_CANCEL_MUTATION, { id: current.subscription_id });
+          const { userErrors } = data.appSubscriptionCancel;
+          if (userErrors.length) {
+            throw new BillingError(userErrors.map(e => e.message).join(', '));
+          }
+        }
+        return { state: await this.refresh(session.shop, session) };
+      }
+
+      // Whatever is left of the trial carries over to the new plan
+      const trialUsedDays = current.trial_started_at
+        ? Math.floor((Date.now() - Date.parse(current.trial_started_at)) / DAY_MS)
+        : 0;
+
+      const data = await graphql(session, SUBSCRIPTION_CREATE_MUTATION, {
+        name: subscriptionName(plan),
+        returnUrl: `https://${session.shop}/admin/apps/${apiKey}/plans`,
+        trialDays: Math.max(0, plan.trial_days - trialUsedDays),
+        test,
+        lineItems: [{
+          plan: {
+            appRecurringPricingDetails: {
+              price: { amount: plan.price, currencyCode: 'USD' },
+              interval: 'EVERY_30_DAYS'
+            }
+          }
+        }]
+      });
+
+      // Shopify replaces any current subscription once the merchant approves the new one
+      const { confirmationUrl, userErrors } = data.appSubscriptionCreate;
+      if (userErrors.length) {
+        throw new BillingError(userErrors.map(e => e.message).join(', '));
+      }
+      return { confirmationUrl };
+    },
+
+    /**
+     * Forget a shop's plan; Shopify cancels the subscription itself on uninstall
+     * @param {string} shop - Shop domain
+     */
+    async deleteShop(shop) {
+      await store.delete(keyFor(shop));
+    }
+  };
+}
+
+/**
+ * Express middleware that only lets requests through when the shop's plan includes a feature.
+ * Admin requests are checked against the session's shop, App Proxy requests against the signed `shop` parameter.
+ * @param {ReturnType<typeof createBilling>} billing
+ * @param {string} feature - One of `FEATURES`
+ * @returns {import('express').RequestHandler}
+ */
+export function requireFeature(billing, feature) {
+  return async (req, res, next) => {
+    const shop = res.locals.shopify?.session?.shop || req.query.shop;
+
+    try {
+      const { plan } = await billing.getState(shop);
+      if (plan.features.includes(feature)) {
+        return next();
+      }
+      res.status(402).json({ error: 'Upgrade your plan to use this feature', feature, plan: plan.id });
+    } catch (error) {
+      console.error('Error checking plan:', error);
+      res.status(500).json({ error: 'Failed to check plan' });
+    }
+  };
+}
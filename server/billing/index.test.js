@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBilling, requireFeature } from './index.js';
+import { createMemoryStore } from '../storage/memoryStore.js';
+
+/**
+ * Run a middleware, resolving with the status and body it answered, or `next`
+ */
+function run(middleware, req, locals = {}) {
+  return new Promise((resolve) => {
+    const res = {
+      locals,
+      status: (code) => ({ json: (body) => resolve({ status: code, body }) })
+    };
+    middleware(req, res, () => resolve({ status: 'next' }));
+  });
+}
+
+test('getState falls back to the free plan', async () => {
+  const store = createMemoryStore();
+  const billing = createBilling(store, {});
+
+  assert.equal((await billing.getState('a.myshopify.com')).plan.id, 'free');
+  await store.set('billing:a.myshopify.com', { plan_id: 'retired' });
+  assert.equal((await billing.getState('a.myshopify.com')).plan.id, 'free');
+});
+
+test('requireFeature only lets shops whose plan includes the feature through', async () => {
+  const store = createMemoryStore();
+  const billing = createBilling(store, {});
+  await store.set('billing:pro.myshopify.com', { plan_id: 'pro' });
+  await store.set('billing:premium.myshopify.com', { plan_id: 'premium' });
+  const middleware = requireFeature(billing, 'consent_log');
+
+  // Admin requests use the session's shop
+  const admin = await run(middleware, { query: {} }, { shopify: { session: { shop: 'premium.myshopify.com' } } });
+  assert.equal(admin.status, 'next');
+
+  // App Proxy requests use the signed shop parameter
+  assert.equal((await run(middleware, { query: { shop: 'premium.myshopify.com' } })).status, 'next');
+
+  const denied = await run(middleware, { query: { shop: 'pro.myshopify.com' } });
+  assert.equal(denied.status, 402);
+  assert.deepEqual(denied.body, { error: 'Upgrade your plan to use this feature', feature: 'consent_log', plan: 'pro' });
+  assert.equal((await run(middleware, { query: { shop: 'free.myshopify.com' } })).status, 402);
+});
+
+test('requireFeature answers 500 when the plan cannot be read', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const billing = { getState: async () => { throw new Error('unavailable'); } };
+
+  const result = await run(requireFeature(billing, 'analytics'), { query: { shop: 'a.myshopify.com' } });
+  assert.equal(result.status, 500);
+});
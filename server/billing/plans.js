@@ -0,0 +1,78 @@
+/**
+ * Features unlocked by paid plans. Everything else, including the basic banner,
+ * CCPA notice and script blocking, is free.
+ */
+export const FEATURES = ['consent_categories', 'geo_rules', 'translations', 'analytics', 'consent_log', 'ab_testing'];
+
+/**
+ * Settings each paid feature owns. Shops without the feature can't change them,
+ * so settings saved on a paid plan are kept, unused, after a downgrade.
+ */
+export const FEATURE_SETTINGS = {
+  consent_categories: ['consent_categories', 'show_preferences', 'preferences_text', 'save_preferences_text'],
+  geo_rules: ['geo_mode', 'geo_region_groups', 'geo_countries'],
+  translations: ['translations'],
+  analytics: ['analytics_enabled'],
+  consent_log: ['consent_log_enabled'],
+  ab_testing: ['ab_test_enabled', 'ab_variants']
+};
+
+/**
+ * Plan every shop starts on, and falls back to when a subscription ends
+ */
+export const FREE_PLAN_ID = 'free';
+
+/**
+ * Plans offered on the admin plan page, cheapest first.
+ * Paid plans are billed every 30 days in USD through Shopify app subscriptions.
+ */
+export const PLANS = [
+  {
+    id: FREE_PLAN_ID,
+    name: 'Free',
+    price: 0,
+    trial_days: 0,
+    features: []
+  },
+  {
+    id: 'pro',
+    name: 'Pro',
+    price: 4.99,
+    trial_days: 7,
+    features: ['consent_categories', 'geo_rules', 'translations']
+  },
+  {
+    id: 'premium',
+    name: 'Premium',
+    price: 9.99,
+    trial_days: 7,
+    features: FEATURES
+  }
+];
+
+/**
+ * Find a plan by ID
+ * @param {string} id - Plan ID
+ * @returns {Object|undefined}
+ */
+export function findPlan(id) {
+  return PLANS.find(plan => plan.id === id);
+}
+
+/**
+ * Find the paid plan a Shopify subscription was created for, by its name
+ * @param {string} name - Subscription name
+ * @returns {Object|undefined}
+ */
+export function findPlanBySubscriptionName(name) {
+  return PLANS.find(plan => plan.id !== FREE_PLAN_ID && subscriptionName(plan) === name);
+}
+
+/**
+ * Name shown to the merchant on the Shopify charge approval page and invoices
+ * @param {Object} plan
+ * @returns {string}
+ */
+export function subscriptionName(plan) {
+  return `Privacy Popup ${plan.name}`;
+}
@@ -0,0 +1,61 @@
+/**
+ * @typedef {Object} AppConfig
+ * @property {string} apiKey - Shopify API key
+ * @property {string} apiSecret - Shopify API secret, also used to verify webhooks and App Proxy requests
+ * @property {string[]} scopes - OAuth access scopes
+ * @property {string} host - Public app URL, e.g. https://privacy-popup.q-biz.co.il
+ * @property {'file'|'kv'|'memory'} storageAdapter - Backend for per-shop data and sessions
+ * @property {string} sessionSecret - Secret stored sessions are encrypted with
+ * @property {boolean} useOnlineTokens - Also request per-staff online tokens
+ * @property {boolean} debugRoutes - Mount the OAuth troubleshooting routes
+ * @property {boolean} billingTest - Create test charges, for development stores
+ * @property {number} requestTimeoutMs - Respond with 504 to requests still running after this long
+ * @property {number} trustProxy - Proxies in front of the app whose X-Forwarded-For hops are trusted for client IPs
+ */
+
+// Paths Shopify calls, matching the URLs registered in shopify.app.toml
+export const AUTH_PATH = '/auth';
+export const AUTH_CALLBACK_PATH = '/auth/callback';
+export const WEBHOOKS_PATH = '/webhooks';
+
+const DEFAULT_SCOPES = ['write_themes', 'read_themes'];
+
+/**
+ * Build the app config from environment variables
+ * @param {Object} [env] - Environment, defaults to `process.env`
+ * @param {Object} [defaults] - Entrypoint-specific fallbacks
+ * @param {AppConfig['storageAdapter']} [defaults.storageAdapter] - Used when STORAGE_ADAPTER is not set
+ * @param {number} [defaults.trustProxy] - Used when TRUST_PROXY is not set
+ * @returns {AppConfig}
+ */
+export function loadConfig(env = process.env, { storageAdapter = 'file', trustProxy = 0 } = {}) {
+  console.log('Environment check:');
+  console.log('SHOPIFY_API_KEY:', env.SHOPIFY_API_KEY ? 'Set' : 'Missing');
+  console.log('SHOPIFY_API_SECRET:', env.SHOPIFY_API_SECRET ? 'Set' : 'Missing');
+  console.log('HOST:', env.HOST);
+
+  if (!env.SHOPIFY_API_KEY || !env.SHOPIFY_API_SECRET) {
+    console.error('❌ Missing required environment variables: SHOPIFY_API_KEY and/or SHOPIFY_API_SECRET');
+    console.error('Please set these in .env locally or in your Vercel environment variables');
+  }
+
+  if (!env.SESSION_SECRET) {
+    console.warn('⚠️ SESSION_SECRET not set, encrypting sessions with SHOPIFY_API_SECRET instead');
+  }
+
+  return {
+    apiKey: env.SHOPIFY_API_KEY || 'missing',
+    apiSecret: env.SHOPIFY_API_SECRET || 'missing',
+    scopes: env.SCOPES ? env.SCOPES.split(',').map(scope => scope.trim()) : DEFAULT_SCOPES,
+    host: (env.HOST || 'https://privacy-popup.q-biz.co.il').replace(/\/+$/, ''),
+    storageAdapter: env.STORAGE_ADAPTER || storageAdapter,
+    sessionSecret: env.SESSION_SECRET || env.SHOPIFY_API_SECRET || 'missing',
+    useOnlineTokens: env.USE_ONLINE_TOKENS === 'true',
+    billingTest: env.BILLING_TEST === 'true',
+    // Never in production, as they start OAuth outside the Shopify middleware
+    debugRoutes: env.NODE_ENV === 'development',
+    // Below Vercel's function timeout, so slow requests get a JSON error instead of a platform one
+    requestTimeoutMs: 25000,
+    trustProxy: env.TRUST_PROXY ? Number(env.TRUST_PROXY) : trustProxy
+  };
+}
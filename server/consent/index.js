@@ -0,0 +1,209 @@
+import { randomUUID } from 'crypto';
+import {
+  boolean,
+  isoDate,
+  oneOf,
+  optional,
+  pattern,
+  shape,
+  string,
+  validateObject
+} from '../settings/schema.js';
+import { dayOf, parseDateRange } from '../utils/dateRange.js';
+
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Fields the storefront script sends with each consent decision
+ */
+export const CONSENT_RECORD_SCHEMA = {
+  visitor_id: pattern(/^[A-Za-z0-9-]{8,64}$/, 'Must be an anonymous visitor ID'),
+  decision: oneOf(['accepted', 'declined', 'custom', 'opted_out', 'revoked']),
+  categories: shape({
+    necessary: boolean(),
+    analytics: boolean(),
+    marketing: boolean(),
+    preferences: boolean()
+  }),
+  popup_version: optional(string({ max: 64 })),
+  policy_version: optional(string({ max: 32 })),
+  timestamp: isoDate(),
+  locale: optional(pattern(/^[A-Za-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/, 'Must be a locale code')),
+  country: optional(pattern(/^[A-Z]{2}$/, 'Must be a two-letter country code'))
+};
+
+/**
+ * Error thrown when a submitted consent record fails validation
+ */
+export class ConsentRecordError extends Error {
+  /**
+   * @param {Object<string, string>} errors - Field-level error messages
+   */
+  constructor(errors) {
+    super('Invalid consent record');
+    this.name = 'ConsentRecordError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Parse consent log search filters from query parameters.
+ * Defaults to the last 30 days when no range is given.
+ * @param {Object} query - Request query (`from`, `to`, `visitor_id`)
+ * @returns {{ filters?: { from: string, to: string, visitorId?: string }, error?: string }}
+ */
+export function parseSearchFilters(query) {
+  const { range, error } = parseDateRange(query, MAX_RANGE_DAYS);
+  if (error) {
+    return { error };
+  }
+
+  return { filters: { ...range, visitorId: typeof query.visitor_id === 'string' && query.visitor_id.trim() ? query.visitor_id.trim() : undefined } };
+}
+
+/**
+ * Per-shop log of storefront consent decisions, kept as proof of consent.
+ * Records are keyed by the UTC day they were received so date-range searches only read the records in range.
+ * @param {import('../storage/index.js').KeyValueStore} store - Storage backend
+ */
+export function createConsentLog(store) {
+  const prefixFor = (shop, day = '') => `consent:${shop}:${day}`;
+
+  // Reads the whole log, which is fine for the occasional privacy request but not for searches
+  const customerEntries = async (shop, customerId) => {
+    const keys = await store.keys(prefixFor(shop));
+    const records = await Promise.all(keys.map(key => store.get(key)));
+    const entries = records
+      .map((record, index) => ({ key: keys[index], record }))
+      .filter(({ record }) => record);
+
+    const visitorIds = new Set(entries
+      .filter(({ record }) => record.customer_id === String(customerId))
+      .map(({ record }) => record.visitor_id));
+    return entries.filter(({ record }) => visitorIds.has(record.visitor_id));
+  };
+
+  return {
+    /**
+     * Validate and store a consent decision
+     * @param {string} shop - Shop domain
+     * @param {Object} input - Record sent by the storefront script
+     * @param {Object} [context]
+     * @param {string} [context.customerId] - Logged-in customer, as signed by the App Proxy
+     * @returns {Promise<Object>} - The stored record
+     * @throws {ConsentRecordError} - When any field is invalid
+     */
+    async record(shop, input, { customerId } = {}) {
+      const { value, errors } = validateObject(CONSENT_RECORD_SCHEMA, input || {});
+      if (errors) {
+        throw new ConsentRecordError(errors);
+      }
+
+      const receivedAt = new Date();
+      const record = {
+        id: randomUUID(),
+        ...value,
+        ...(customerId && { customer_id: String(customerId) }),
+        received_at: receivedAt.toISOString()
+      };
+      await store.set(`${prefixFor(shop, dayOf(receivedAt))}:${record.id}`, record);
+      return record;
+    },
+
+    /**
+     * Find consent records received within a date range, newest first
+     * @param {string} shop - Shop domain
+     * @param {Object} filters
+     * @param {string} filters.from - First day to include (YYYY-MM-DD)
+     * @param {string} filters.to - Last day to include (YYYY-MM-DD)
+     * @param {string} [filters.visitorId] - Only return records for this visitor
+     * @returns {Promise<Object[]>}
+     */
+    async search(shop, { from, to, visitorId }) {
+      // One listing for the whole range: each one scans every key on the KV and file stores
+      const prefix = prefixFor(shop);
+      const keys = (await store.keys(prefix)).filter((key) => {
+        const day = key.slice(prefix.length, prefix.length + 10);
+        return day >= from && day <= to;
+      });
+      const records = (await Promise.all(keys.map(key => store.get(key))))
+        .filter(record => record && (!visitorId || record.visitor_id === visitorId));
+
+      return records.sort((a, b) => b.received_at.localeCompare(a.received_at));
+    },
+
+    /**
+     * Find every record tied to a customer: those sent while they were logged in,
+     * plus the anonymous ones from the same browsers
+     * @param {string} shop - Shop domain
+     * @param {string|number} customerId - Shopify customer ID
+     * @returns {Promise<Object[]>} - Records, newest first
+     */
+    async findCustomerRecords(shop, customerId) {
+      const entries = await customerEntries(shop, customerId);
+      return entries
+        .map(({ record }) => record)
+        .sort((a, b) => b.received_at.localeCompare(a.received_at));
+    },
+
+    /**
+     * Delete every record tied to a customer, as found by `findCustomerRecords`
+     * @param {string} shop - Shop domain
+     * @param {string|number} customerId - Shopify customer ID
+     * @returns {Promise<number>} - Number of records deleted
+     */
+    async redactCustomer(shop, customerId) {
+      const entries = await customerEntries(shop, customerId);
+      await Promise.all(entries.map(({ key }) => store.delete(key)));
+      return entries.length;
+    },
+
+    /**
+     * Delete the whole consent log of a shop
+     * @param {string} shop - Shop domain
+     */
+    async deleteShop(shop) {
+      const keys = await store.keys(prefixFor(shop));
+      await Promise.all(keys.map(key => store.delete(key)));
+    }
+  };
+}
+
+const CSV_COLUMNS = [
+  'id',
+  'received_at',
+  'timestamp',
+  'visitor_id',
+  'customer_id',
+  'decision',
+  'necessary',
+  'analytics',
+  'marketing',
+  'preferences',
+  'popup_version',
+  'policy_version',
+  'locale',
+  'country'
+];
+
+/**
+ * Serialize consent records as CSV, one row per record
+ * @param {Object[]} records - Records returned by `search`
+ * @returns {string}
+ */
+export function toCsv(records) {
+  const escape = (value) => {
+    let text = value == null ? '' : String(value);
+    // Visitors control some fields; stop spreadsheets from running them as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = records.map(record => CSV_COLUMNS.map(column =>
+    escape(column in record.categories ? record.categories[column] : record[column])
+  ).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
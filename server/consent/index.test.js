@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConsentRecordError, createConsentLog, parseSearchFilters, toCsv } from './index.js';
+import { createMemoryStore } from '../storage/memoryStore.js';
+
+const SHOP = 'a.myshopify.com';
+
+const consentRecord = (overrides = {}) => ({
+  visitor_id: 'visitor-1234',
+  decision: 'custom',
+  categories: { necessary: true, analytics: true, marketing: false, preferences: false },
+  timestamp: '2026-01-05T10:00:00.000Z',
+  ...overrides
+});
+
+test('record stores valid decisions and rejects invalid ones', async () => {
+  const consentLog = createConsentLog(createMemoryStore());
+
+  const stored = await consentLog.record(SHOP, consentRecord({ unknown: 'dropped' }), { customerId: 42 });
+  assert.equal(stored.customer_id, '42');
+  assert.equal('unknown' in stored, false);
+  assert.ok(stored.id && stored.received_at);
+
+  await assert.rejects(
+    consentLog.record(SHOP, consentRecord({ visitor_id: '<script>', decision: 'maybe' })),
+    (error) => error instanceof ConsentRecordError && 'visitor_id' in error.errors && 'decision' in error.errors
+  );
+});
+
+test('search returns the shop records received in range, newest first', async () => {
+  const store = createMemoryStore();
+  const consentLog = createConsentLog(store);
+  const put = (shop, day, id, visitorId) => store.set(`consent:${shop}:${day}:${id}`, {
+    id, visitor_id: visitorId, received_at: `${day}T12:00:00.000Z`
+  });
+  await put(SHOP, '2025-12-31', 'a', 'visitor-1');
+  await put(SHOP, '2026-01-01', 'b', 'visitor-1');
+  await put(SHOP, '2026-01-31', 'c', 'visitor-2');
+  await put(SHOP, '2026-02-01', 'd', 'visitor-1');
+  // Another shop whose domain starts with the same characters
+  await put('ab.myshopify.com', '2026-01-15', 'e', 'visitor-1');
+
+  const records = await consentLog.search(SHOP, { from: '2026-01-01', to: '2026-01-31' });
+  assert.deepEqual(records.map(record => record.id), ['c', 'b']);
+
+  const visitorRecords = await consentLog.search(SHOP, { from: '2026-01-01', to: '2026-01-31', visitorId: 'visitor-1' });
+  assert.deepEqual(visitorRecords.map(record => record.id), ['b']);
+});
+
+test('parseSearchFilters reads the range and trims the visitor ID', () => {
+  assert.deepEqual(parseSearchFilters({ from: '2026-01-01', to: '2026-01-31', visitor_id: ' visitor-1 ' }), {
+    filters: { from: '2026-01-01', to: '2026-01-31', visitorId: 'visitor-1' }
+  });
+  assert.deepEqual(parseSearchFilters({ to: 'abc' }), { error: 'Dates must use the YYYY-MM-DD format' });
+});
+
+test('toCsv writes one row per record with the categories as columns', () => {
+  const csv = toCsv([{
+    id: 'a',
+    received_at: '2026-01-05T10:00:01.000Z',
+    ...consentRecord(),
+    locale: 'de-DE'
+  }]);
+
+  const [header, row, end] = csv.split('\n');
+  assert.equal(header, 'id,received_at,timestamp,visitor_id,customer_id,decision,necessary,analytics,marketing,preferences,popup_version,policy_version,locale,country');
+  assert.equal(row, 'a,2026-01-05T10:00:01.000Z,2026-01-05T10:00:00.000Z,visitor-1234,,custom,true,true,false,false,,,de-DE,');
+  assert.equal(end, '');
+});
+
+test('toCsv quotes separators and defuses spreadsheet formulas', () => {
+  const csv = toCsv([
+    { popup_version: 'a,"b"', categories: {} },
+    { popup_version: '=HYPERLINK("http://evil.example")', categories: {} },
+    { popup_version: '+1', policy_version: '-1', locale: '@x', country: '\tx', categories: {} }
+  ]);
+
+  const rows = csv.trim().split('\n').slice(1).map(row => row.split(',').slice(10).join(','));
+  assert.equal(rows[0], '"a,""b""",,,');
+  assert.equal(rows[1], '"\'=HYPERLINK(""http://evil.example"")",,,');
+  assert.equal(rows[2], "'+1,'-1,'@x,'\tx");
+});
@@ -0,0 +1,84 @@
+/**
+ * Exports generated for Shopify's `customers/data_request` webhook, kept until the
+ * merchant downloads them and sends them to the customer.
+ * @param {import('../storage/index.js').KeyValueStore} store - Storage backend
+ * @param {ReturnType<import('../consent/index.js').createConsentLog>} consentLog - Consent log to export from
+ */
+export function createDataRequests(store, consentLog) {
+  const prefixFor = (shop) => `data-request:${shop}:`;
+
+  // List views leave out the records themselves
+  const summarize = ({ records, ...request }) => ({ ...request, record_count: records.length });
+
+  return {
+    /**
+     * Collect a customer's consent records into a stored export
+     * @param {string} shop - Shop domain
+     * @param {Object} payload - Webhook payload with `customer` and `data_request`
+     * @returns {Promise<Object>} - Summary of the stored export
+     */
+    async create(shop, payload) {
+      const { customer, data_request: dataRequest, orders_requested: ordersRequested = [] } = payload;
+      const request = {
+        id: String(dataRequest?.id ?? Date.now()),
+        customer: {
+          id: String(customer.id),
+          email: customer.email || null,
+          phone: customer.phone || null
+        },
+        orders_requested: ordersRequested,
+        requested_at: new Date().toISOString(),
+        records: await consentLog.findCustomerRecords(shop, customer.id)
+      };
+
+      await store.set(`${prefixFor(shop)}${request.id}`, request);
+      return summarize(request);
+    },
+
+    /**
+     * List a shop's data requests, newest first
+     * @param {string} shop - Shop domain
+     * @returns {Promise<Object[]>}
+     */
+    async list(shop) {
+      const keys = await store.keys(prefixFor(shop));
+      const requests = await Promise.all(keys.map(key => store.get(key)));
+      return requests
+        .filter(Boolean)
+        .map(summarize)
+        .sort((a, b) => b.requested_at.localeCompare(a.requested_at));
+    },
+
+    /**
+     * Get one data request with its records
+     * @param {string} shop - Shop domain
+     * @param {string} id - Data request ID
+     * @returns {Promise<Object|null>}
+     */
+    async get(shop, id) {
+      return store.get(`${prefixFor(shop)}${id}`);
+    },
+
+    /**
+     * Delete the exports made for a customer, which hold their records too
+     * @param {string} shop - Shop domain
+     * @param {string|number} customerId - Shopify customer ID
+     */
+    async deleteCustomer(shop, customerId) {
+      const keys = await store.keys(prefixFor(shop));
+      const requests = await Promise.all(keys.map(key => store.get(key)));
+      await Promise.all(keys
+        .filter((key, index) => requests[index]?.customer.id === String(customerId))
+        .map(key => store.delete(key)));
+    },
+
+    /**
+     * Delete all of a shop's data requests
+     * @param {string} shop - Shop domain
+     */
+    async deleteShop(shop) {
+      const keys = await store.keys(prefixFor(shop));
+      await Promise.all(keys.map(key => store.delete(key)));
+    }
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * Bundled database of third-party trackers and well-known cookies the scanner
+ * classifies storefront findings against. Categories match the popup's consent
+ * categories, so they can be suggested as-is.
+ *
+ * Cookie names ending in `*` match any name with that prefix.
+ */
+
+/**
+ * Third-party services, recognized by the domains their scripts and iframes load from.
+ * `cookies` are the cookies the service typically sets in the visitor's browser,
+ * which a server-side scan can't see being set.
+ */
+export const TRACKERS = [
+  {
+    id: 'google-analytics',
+    provider: 'Google Analytics',
+    category: 'analytics',
+    domains: ['google-analytics.com', 'analytics.google.com'],
+    cookies: [
+      { name: '_ga', duration: '2 years', purpose: 'Distinguishes visitors for Google Analytics' },
+      { name: '_ga_*', duration: '2 years', purpose: 'Keeps the session state of a Google Analytics 4 property' },
+      { name: '_gid', duration: '1 day', purpose: 'Distinguishes visitors for Google Analytics' }
+    ]
+  },
+  {
+    id: 'google-tag-manager',
+    provider: 'Google Tag Manager',
+    category: 'analytics',
+    domains: ['googletagmanager.com'],
+    cookies: []
+  },
+  {
+    id: 'google-ads',
+    provider: 'Google Ads',
+    category: 'marketing',
+    domains: ['googleadservices.com', 'doubleclick.net', 'googlesyndication.com'],
+    cookies: [
+      { name: '_gcl_au', duration: '3 months', purpose: 'Measures ad conversions for Google Ads' },
+      { name: 'IDE', duration: '13 months', purpose: 'Shows and measures Google ads across sites' }
+    ]
+  },
+  {
+    id: 'meta-pixel',
+    provider: 'Meta Pixel',
+    category: 'marketing',
+    domains: ['connect.facebook.net', 'facebook.com'],
+    cookies: [
+      { name: '_fbp', duration: '3 months', purpose: 'Measures and targets Facebook and Instagram ads' },
+      { name: '_fbc', duration: '3 months', purpose: 'Stores the last Facebook ad click' }
+    ]
+  },
+  {
+    id: 'tiktok-pixel',
+    provider: 'TikTok Pixel',
+    category: 'marketing',
+    domains: ['analytics.tiktok.com'],
+    cookies: [
+      { name: '_ttp', duration: '13 months', purpose: 'Measures and targets TikTok ads' }
+    ]
+  },
+  {
+    id: 'pinterest-tag',
+    provider: 'Pinterest Tag',
+    category: 'marketing',
+    domains: ['s.pinimg.com', 'ct.pinterest.com'],
+    cookies: [
+      { name: '_pin_unauth', duration: '1 year', purpose: 'Measures and targets Pinterest ads' }
+    ]
+  },
+  {
+    id: 'linkedin-insight',
+    provider: 'LinkedIn Insight Tag',
+    category: 'marketing',
+    domains: ['snap.licdn.com', 'px.ads.linkedin.com'],
+    cookies: [
+      { name: 'li_fat_id', duration: '1 month', purpose: 'Measures LinkedIn ad conversions' }
+    ]
+  },
+  {
+    id: 'microsoft-ads',
+    provider: 'Microsoft Advertising',
+    category: 'marketing',
+    domains: ['bat.bing.com'],
+    cookies: [
+      { name: '_uetsid', duration: '1 day', purpose: 'Measures Microsoft Advertising conversions' },
+      { name: '_uetvid', duration: '13 months', purpose: 'Distinguishes visitors for Microsoft Advertising' }
+    ]
+  },
+  {
+    id: 'snap-pixel',
+    provider: 'Snap Pixel',
+    category: 'marketing',
+    domains: ['sc-static.net', 'tr.snapchat.com'],
+    cookies: [
+      { name: '_scid', duration: '13 months', purpose: 'Measures and targets Snapchat ads' }
+    ]
+  },
+  {
+    id: 'klaviyo',
+    provider: 'Klaviyo',
+    category: 'marketing',
+    domains: ['klaviyo.com'],
+    cookies: [
+      { name: '__kla_id', duration: '2 years', purpose: 'Ties browsing to Klaviyo email and SMS profiles' }
+    ]
+  },
+  {
+    id: 'hotjar',
+    provider: 'Hotjar',
+    category: 'analytics',
+    domains: ['hotjar.com'],
+    cookies: [
+      { name: '_hjSessionUser_*', duration: '1 year', purpose: 'Distinguishes visitors for Hotjar' },
+      { name: '_hjSession_*', duration: '30 minutes', purpose: 'Keeps Hotjar session data' }
+    ]
+  },
+  {
+    id: 'microsoft-clarity',
+    provider: 'Microsoft Clarity',
+    category: 'analytics',
+    domains: ['clarity.ms'],
+    cookies: [
+      { name: '_clck', duration: '1 year', purpose: 'Distinguishes visitors for Microsoft Clarity' },
+      { name: '_clsk', duration: '1 day', purpose: 'Groups page views into a Clarity session' }
+    ]
+  },
+  {
+    id: 'youtube',
+    provider: 'YouTube',
+    category: 'marketing',
+    domains: ['youtube.com', 'youtube-nocookie.com'],
+    cookies: [
+      { name: 'VISITOR_INFO1_LIVE', duration: '6 months', purpose: 'Estimates bandwidth and tracks YouTube viewing' },
+      { name: 'YSC', duration: 'Session', purpose: 'Counts YouTube video views' }
+    ]
+  },
+  {
+    id: 'vimeo',
+    provider: 'Vimeo',
+    category: 'analytics',
+    domains: ['player.vimeo.com'],
+    cookies: [
+      { name: 'vuid', duration: '2 years', purpose: 'Counts Vimeo video views' }
+    ]
+  }
+];
+
+/**
+ * Cookies set by Shopify itself, recognized by name
+ */
+export const KNOWN_COOKIES = [
+  { name: '_shopify_y', provider: 'Shopify', category: 'analytics', duration: '1 year', purpose: 'Shopify analytics' },
+  { name: '_shopify_s', provider: 'Shopify', category: 'analytics', duration: '30 minutes', purpose: 'Shopify analytics session' },
+  { name: '_shopify_sa_p', provider: 'Shopify', category: 'analytics', duration: '30 minutes', purpose: 'Shopify marketing attribution' },
+  { name: '_shopify_sa_t', provider: 'Shopify', category: 'analytics', duration: '30 minutes', purpose: 'Shopify marketing attribution' },
+  { name: '_orig_referrer', provider: 'Shopify', category: 'analytics', duration: '2 weeks', purpose: 'Stores the landing page referrer' },
+  { name: '_landing_page', provider: 'Shopify', category: 'analytics', duration: '2 weeks', purpose: 'Stores the landing page' },
+  { name: 'cart', provider: 'Shopify', category: 'necessary', duration: '2 weeks', purpose: 'Keeps the shopping cart' },
+  { name: 'cart_sig', provider: 'Shopify', category: 'necessary', duration: '2 weeks', purpose: 'Secures the shopping cart' },
+  { name: 'cart_currency', provider: 'Shopify', category: 'necessary', duration: '2 weeks', purpose: 'Keeps the cart currency' },
+  { name: 'secure_customer_sig', provider: 'Shopify', category: 'necessary', duration: '1 year', purpose: 'Keeps customers logged in' },
+  { name: 'localization', provider: 'Shopify', category: 'necessary', duration: '2 weeks', purpose: 'Remembers the chosen country and language' },
+  { name: '_tracking_consent', provider: 'Shopify', category: 'necessary', duration: '1 year', purpose: 'Stores the visitor\'s consent choices' },
+  { name: '_cmp_a', provider: 'Shopify', category: 'necessary', duration: '1 day', purpose: 'Stores the visitor\'s consent choices' },
+  { name: 'keep_alive', provider: 'Shopify', category: 'necessary', duration: '2 weeks', purpose: 'Keeps the buyer session alive' },
+  { name: '_secure_session_id', provider: 'Shopify', category: 'necessary', duration: '1 day', purpose: 'Keeps the checkout session' },
+  { name: 'storefront_digest', provider: 'Shopify', category: 'necessary', duration: '2 years', purpose: 'Unlocks password-protected stores' },
+  { name: '_y', provider: 'Shopify', category: 'analytics', duration: '1 year', purpose: 'Shopify analytics' },
+  { name: '_s', provider: 'Shopify', category: 'analytics', duration: '30 minutes', purpose: 'Shopify analytics session' },
+  { name: 'privacy_popup_consent', provider: 'Privacy Popup', category: 'necessary', duration: 'As configured', purpose: 'Stores the visitor\'s consent choices' }
+];
+
+/**
+ * Whether a cookie name matches a database entry name, which may end in `*`
+ * @param {string} pattern - Database cookie name
+ * @param {string} name - Cookie name found on the storefront
+ * @returns {boolean}
+ */
+export function cookieNameMatches(pattern, name) {
+  return pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : pattern === name;
+}
+
+/**
+ * Find the tracker a URL's host belongs to
+ * @param {string} hostname - Host of a script or iframe URL
+ * @returns {Object|undefined}
+ */
+export function findTrackerByHost(hostname) {
+  return TRACKERS.find(tracker =>
+    tracker.domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`)));
+}
+
+/**
+ * Find what's known about a cookie by its name, from Shopify's own cookies and the trackers' cookies
+ * @param {string} name - Cookie name
+ * @returns {{ provider: string, category: string, duration: string, purpose: string }|undefined}
+ */
+export function findCookie(name) {
+  const known = KNOWN_COOKIES.find(cookie => cookieNameMatches(cookie.name, name));
+  if (known) {
+    return known;
+  }
+
+  for (const tracker of TRACKERS) {
+    const cookie = tracker.cookies.find(candidate => cookieNameMatches(candidate.name, name));
+    if (cookie) {
+      return { ...cookie, provider: tracker.provider, category: tracker.category };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Hosts serving Shopify's own storefront assets, which aren't third parties
+ */
+export const SHOPIFY_DOMAINS = ['cdn.shopify.com', 'shopify.com', 'shopifycdn.net', 'shopifysvc.com', 'shopifycloud.com'];
+
+/**
+ * Whether a host serves Shopify's own storefront assets
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+export function isShopifyHost(hostname) {
+  return SHOPIFY_DOMAINS.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
@@ -0,0 +1,377 @@
+import { cookieNameMatches, findCookie, findTrackerByHost, isShopifyHost } from './database.js';
+
+/**
+ * Pages scanned per run, including the home page
+ */
+export const MAX_PAGES = 6;
+
+/**
+ * Time limit for a whole scan, kept under the app's request timeout
+ */
+export const SCAN_DEADLINE_MS = 20000;
+
+const MAX_REDIRECTS = 5;
+const MAX_URLS_PER_HOST = 5;
+const USER_AGENT = 'Mozilla/5.0 (compatible; PrivacyPopupCookieScanner/1.0)';
+
+// Pages worth scanning besides the home page; the first link to each kind found on the home page is followed
+const FIXED_PATHS = ['/cart', '/search'];
+const LINKED_PATHS = [/^\/products\/[^/?#]+/, /^\/collections\/[^/?#]+/, /^\/pages\/[^/?#]+/, /^\/blogs\/[^/?#]+/];
+
+const ATTRIBUTE_PATTERNS = {
+  script: /<script\b[^>]*?\bsrc\s*=\s*["']?([^"'\s>]+)/gi,
+  iframe: /<iframe\b[^>]*?\b(?:data-)?src\s*=\s*["']?([^"'\s>]+)/gi,
+  link: /<a\b[^>]*?\bhref\s*=\s*["']?([^"'\s>]+)/gi
+};
+
+const decodeEntities = (value) => value.replace(/&amp;/g, '&').replace(/&#x2F;/gi, '/').replace(/&#47;/g, '/');
+
+/**
+ * Pull script, iframe and link URLs out of a page's HTML, resolved against the page URL
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL the page was fetched from
+ * @returns {{ scripts: URL[], iframes: URL[], links: URL[] }}
+ */
+export function extractResources(html, pageUrl) {
+  const collect = (pattern) => {
+    const urls = [];
+    for (const [, value] of html.matchAll(pattern)) {
+      try {
+        const url = new URL(decodeEntities(value), pageUrl);
+        if (url.protocol === 'http:' || url.protocol === 'https:') {
+          urls.push(url);
+        }
+      } catch (error) {
+        // Not a URL, e.g. a template placeholder
+      }
+    }
+    return urls;
+  };
+
+  return {
+    scripts: collect(ATTRIBUTE_PATTERNS.script),
+    iframes: collect(ATTRIBUTE_PATTERNS.iframe),
+    links: collect(ATTRIBUTE_PATTERNS.link)
+  };
+}
+
+/**
+ * Describe a lifetime in seconds the way cookie declarations do
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  if (seconds <= 0) return 'Expired';
+
+  const units = [
+    [365 * 24 * 3600, 'year'],
+    [30 * 24 * 3600, 'month'],
+    [24 * 3600, 'day'],
+    [3600, 'hour'],
+    [60, 'minute']
+  ];
+  for (const [size, unit] of units) {
+    if (seconds >= size) {
+      const count = Math.round(seconds / size);
+      return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+  }
+  return `${seconds} seconds`;
+}
+
+/**
+ * Parse a `Set-Cookie` header
+ * @param {string} header - Header value
+ * @param {number} [now] - Time to measure `Expires` from
+ * @returns {{ name: string, domain: string|null, duration: string, http_only: boolean, secure: boolean }|null}
+ */
+export function parseSetCookie(header, now = Date.now()) {
+  const [pair, ...attributes] = header.split(';').map(part => part.trim());
+  const name = pair.slice(0, pair.indexOf('=')).trim();
+  if (!pair.includes('=') || !name) {
+    return null;
+  }
+
+  const cookie = { name, domain: null, duration: 'Session', http_only: false, secure: false };
+  let maxAge = null;
+  let expires = null;
+
+  for (const attribute of attributes) {
+    const [key, ...rest] = attribute.split('=');
+    const value = rest.join('=').trim();
+    switch (key.trim().toLowerCase()) {
+      case 'max-age':
+        maxAge = Number.parseInt(value, 10);
+        break;
+      case 'expires':
+        expires = Date.parse(value);
+        break;
+      case 'domain':
+        cookie.domain = value.replace(/^\./, '') || null;
+        break;
+      case 'httponly':
+        cookie.http_only = true;
+        break;
+      case 'secure':
+        cookie.secure = true;
+        break;
+    }
+  }
+
+  // Max-Age wins over Expires, as in browsers
+  if (Number.isFinite(maxAge)) {
+    cookie.duration = formatDuration(maxAge);
+  } else if (Number.isFinite(expires)) {
+    cookie.duration = formatDuration(Math.round((expires - now) / 1000));
+  }
+  return cookie;
+}
+
+const setCookieHeaders = (headers) => (
+  typeof headers.getSetCookie === 'function'
+    ? headers.getSetCookie()
+    // Older fetch implementations join them; split on commas that start a new cookie
+    : (headers.get('set-cookie') || '').split(/,(?=\s*[^;,=\s]+=)/).filter(Boolean)
+);
+
+/**
+ * Scan a storefront for the cookies its responses set and the third-party
+ * scripts and iframes its pages load, classified against the bundled database.
+ *
+ * Cookies that third-party scripts set in the browser can't be seen from the
+ * server, so each recognized tracker adds the cookies it is known to set.
+ *
+ * Redirects are only followed between the store's own hosts; others are recorded
+ * on the page as `off_site_redirect`, so the scanner never fetches arbitrary addresses.
+ * @param {Object} options
+ * @param {string} options.baseUrl - Storefront URL, e.g. `https://example.myshopify.com`
+ * @param {string[]} [options.storeHosts] - Other hosts of the store, e.g. its primary domain
+ * @param {typeof fetch} [options.fetch] - Fetch implementation, defaults to the global one
+ * @param {number} [options.timeoutMs] - Time limit per page
+ * @param {number} [options.deadlineMs] - Time limit for the whole scan
+ * @param {number} [options.maxPages] - Pages to scan at most, including the home page
+ * @returns {Promise<Object>} - Scan report with `pages`, `cookies` and `trackers`
+ */
+export async function scanStorefront({
+  baseUrl,
+  storeHosts: otherHosts = [],
+  fetch = globalThis.fetch,
+  timeoutMs = 8000,
+  deadlineMs = SCAN_DEADLINE_MS,
+  maxPages = MAX_PAGES
+}) {
+  let base = new URL(baseUrl);
+  // myshopify.com addresses redirect to the store's primary domain, which is first-party too
+  const storeHosts = new Set([base.hostname, ...otherHosts]);
+  const deadlineAt = Date.now() + deadlineMs;
+  const pages = [];
+  const cookies = new Map();
+  const resources = new Map();
+  let passwordProtected = false;
+
+  const addCookie = (name, details, pagePath) => {
+    const cookie = cookies.get(name) || { name, ...details, pages: [] };
+    if (pagePath && !cookie.pages.includes(pagePath)) {
+      cookie.pages.push(pagePath);
+    }
+    cookies.set(name, cookie);
+  };
+
+  const addResource = (url, type, pagePath) => {
+    if (storeHosts.has(url.hostname) || isShopifyHost(url.hostname)) {
+      return;
+    }
+
+    const resource = resources.get(url.hostname) || { host: url.hostname, types: [], urls: [], pages: [] };
+    if (!resource.types.includes(type)) resource.types.push(type);
+    if (resource.urls.length < MAX_URLS_PER_HOST && !resource.urls.includes(url.href)) resource.urls.push(url.href);
+    if (!resource.pages.includes(pagePath)) resource.pages.push(pagePath);
+    resources.set(url.hostname, resource);
+  };
+
+  // Follow redirects by hand, so cookies set along the way are seen too
+  const fetchPage = async (path) => {
+    let url = new URL(path, base);
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      // Whichever ends first, the page's time limit or the scan's (AbortSignal.any needs Node 20.3)
+      const signal = AbortSignal.timeout(Math.max(0, Math.min(timeoutMs, deadlineAt - Date.now())));
+      const response = await fetch(url.href, {
+        redirect: 'manual',
+        headers: { 'user-agent': USER_AGENT, accept: 'text/html' },
+        signal
+      });
+
+      for (const header of setCookieHeaders(response.headers)) {
+        const parsed = parseSetCookie(header);
+        if (parsed) {
+          const known = findCookie(parsed.name);
+          addCookie(parsed.name, {
+            provider: known?.provider || null,
+            category: known?.category || null,
+            purpose: known?.purpose || null,
+            duration: parsed.duration,
+            source: 'response'
+          }, path);
+        }
+      }
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        const target = new URL(location, url);
+        if ((target.protocol !== 'https:' && target.protocol !== 'http:') || !storeHosts.has(target.hostname)) {
+          return { url, status: response.status, html: '', offSiteRedirect: target.href };
+        }
+        if (target.pathname === '/password') {
+          passwordProtected = true;
+        }
+        url = target;
+        continue;
+      }
+
+      const html = (response.headers.get('content-type') || '').includes('html') ? await response.text() : '';
+      return { url, status: response.status, html };
+    }
+    throw new Error('Too many redirects');
+  };
+
+  const scanPage = async (path) => {
+    try {
+      const { url, status, html, offSiteRedirect } = await fetchPage(path);
+      if (offSiteRedirect) {
+        pages.push({ path, url: url.href, status, off_site_redirect: offSiteRedirect });
+        return { url: null, links: [] };
+      }
+      pages.push({ path, url: url.href, status });
+
+      const found = extractResources(html, url.href);
+      found.scripts.forEach(scriptUrl => addResource(scriptUrl, 'script', path));
+      found.iframes.forEach(iframeUrl => addResource(iframeUrl, 'iframe', path));
+      return { url, links: found.links };
+    } catch (error) {
+      pages.push({ path, url: new URL(path, base).href, status: null, error: error.message });
+      return { url: null, links: [] };
+    }
+  };
+
+  // The home page links to the other pages worth scanning, which are then fetched from where it ended up
+  const home = await scanPage('/');
+  if (!home.url) {
+    const reason = pages[0].off_site_redirect ? `it redirects to ${pages[0].off_site_redirect}` : pages[0].error;
+    throw new Error(`Could not load the storefront: ${reason}`);
+  }
+  base = new URL(home.url.origin);
+  const linkedPaths = LINKED_PATHS
+    .map(pattern => home.links.find(link => storeHosts.has(link.hostname) && pattern.test(link.pathname))?.pathname)
+    .filter(Boolean);
+  const paths = [...new Set([...linkedPaths, ...FIXED_PATHS])].slice(0, maxPages - 1);
+  await Promise.all(paths.map(scanPage));
+
+  const trackers = [...resources.values()].map((resource) => {
+    const tracker = findTrackerByHost(resource.host);
+    for (const cookie of tracker?.cookies || []) {
+      if (![...cookies.keys()].some(name => cookieNameMatches(cookie.name, name))) {
+        addCookie(cookie.name, {
+          provider: tracker.provider,
+          category: tracker.category,
+          purpose: cookie.purpose,
+          duration: cookie.duration,
+          source: 'tracker'
+        });
+      }
+    }
+
+    return {
+      ...resource,
+      provider: tracker?.provider || null,
+      category: tracker?.category || null
+    };
+  });
+
+  return {
+    base_url: base.origin,
+    password_protected: passwordProtected,
+    pages: pages.sort((a, b) => (a.path === '/' ? -1 : b.path === '/' ? 1 : a.path.localeCompare(b.path))),
+    cookies: [...cookies.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    trackers: trackers.sort((a, b) => a.host.localeCompare(b.host))
+  };
+}
+
+const STORE_HOSTS_QUERY = `#graphql
+  query StoreHosts {
+    shop {
+      myshopifyDomain
+      primaryDomain {
+        host
+      }
+    }
+  }
+`;
+
+/**
+ * Hosts a shop's storefront is served from, which the scanner may follow redirects between
+ * @param {Object} api - The `shopify.api` object from shopifyApp
+ * @param {Object} session - Authenticated Shopify session
+ * @returns {Promise<string[]>} - The myshopify.com address and the primary domain
+ */
+export async function loadStoreHosts(api, session) {
+  const client = new api.clients.Graphql({ session });
+  const response = await client.query({ data: { query: STORE_HOSTS_QUERY } });
+  const { myshopifyDomain, primaryDomain } = response.body.data.shop;
+  return [...new Set([myshopifyDomain, primaryDomain.host])];
+}
+
+/**
+ * Cookie scans of shops' storefronts, keeping the latest result per shop
+ * @param {import('../storage/index.js').KeyValueStore} store - Storage backend
+ * @param {Object} [options]
+ * @param {typeof fetch} [options.fetch] - Fetch implementation used for scans
+ * @param {number} [options.timeoutMs] - Time limit per page
+ */
+export function createCookieScanner(store, { fetch, timeoutMs } = {}) {
+  const keyFor = (shop) => `cookie-scan:${shop}`;
+
+  return {
+    /**
+     * Scan a shop's storefront and save the result. The scan is marked `running` while it
+     * lasts and ends within `SCAN_DEADLINE_MS`, so callers can await it inside a request.
+     * @param {string} shop - Shop domain
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - Storefront URL, defaults to the shop's myshopify.com address
+     * @param {string[]} [options.storeHosts] - Other hosts of the store, e.g. its primary domain
+     * @returns {Promise<Object>} - The saved scan, with `status` `completed` or `failed`
+     */
+    async run(shop, { baseUrl = `https://${shop}`, storeHosts = [] } = {}) {
+      const startedAt = new Date().toISOString();
+      await store.set(keyFor(shop), { status: 'running', started_at: startedAt });
+
+      let scan;
+      try {
+        const report = await scanStorefront({ baseUrl, storeHosts, fetch, timeoutMs });
+        scan = { status: 'completed', started_at: startedAt, finished_at: new Date().toISOString(), ...report };
+      } catch (error) {
+        console.error(`Error scanning storefront of shop ${shop}:`, error);
+        scan = { status: 'failed', started_at: startedAt, finished_at: new Date().toISOString(), error: error.message };
+      }
+
+      await store.set(keyFor(shop), scan);
+      return scan;
+    },
+
+    /**
+     * Latest scan of a shop's storefront
+     * @param {string} shop - Shop domain
+     * @returns {Promise<Object|null>}
+     */
+    async get(shop) {
+      return store.get(keyFor(shop));
+    },
+
+    /**
+     * Remove a shop's scan
+     * @param {string} shop - Shop domain
+     */
+    async deleteShop(shop) {
+      await store.delete(keyFor(shop));
+    }
+  };
+}
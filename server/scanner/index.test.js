@@ -0,0 +1,187 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createCookieScanner, extractResources, parseSetCookie, scanStorefront } from './index.js';
+import { createMemoryStore } from '../storage/memoryStore.js';
+
+const HOME_PAGE = `<html><head>
+<script src="https://connect.facebook.net/en_US/fbevents.js"></script>
+<script src="//cdn.shopify.com/s/files/theme.js"></script>
+<script src="/assets/local.js"></script>
+<script src="https://widgets.example.net/w.js"></script>
+</head><body>
+<a href="/products/shirt?variant=1">Shirt</a>
+<a href="/collections/all">All</a>
+<a href="https://elsewhere.example.org/products/other">Other store</a>
+<iframe data-src="https://www.youtube.com/embed/abc"></iframe>
+</body></html>`;
+
+const servers = [];
+
+/**
+ * Start a fixture storefront answering from `routes`, keyed by path
+ */
+async function startStorefront(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(404, { 'content-type': 'text/html' });
+      return res.end('Not found');
+    }
+    res.writeHead(route.status || 200, { 'content-type': 'text/html', ...route.headers });
+    res.end(route.body || '');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  servers.push(server);
+  return { port: server.address().port, requests };
+}
+
+after(() => servers.forEach((server) => {
+  server.closeAllConnections();
+  server.close();
+}));
+
+test('parseSetCookie reads the lifetime, preferring Max-Age over Expires', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  assert.equal(parseSetCookie('a=1; Max-Age=86400; Expires=Fri, 01 Jan 2027 00:00:00 GMT', now).duration, '1 day');
+  assert.equal(parseSetCookie('a=1; Expires=Fri, 01 Jan 2027 00:00:00 GMT', now).duration, '1 year');
+  assert.deepEqual(parseSetCookie('session=abc; Path=/; HttpOnly; Secure; Domain=.example.com', now), {
+    name: 'session', domain: 'example.com', duration: 'Session', http_only: true, secure: true
+  });
+  assert.equal(parseSetCookie('not a cookie'), null);
+});
+
+test('extractResources resolves script, iframe and link URLs against the page', () => {
+  const found = extractResources(HOME_PAGE, 'https://shop.example.com/');
+  assert.deepEqual(found.scripts.map(url => url.hostname),
+    ['connect.facebook.net', 'cdn.shopify.com', 'shop.example.com', 'widgets.example.net']);
+  assert.deepEqual(found.iframes.map(url => url.href), ['https://www.youtube.com/embed/abc']);
+  assert.equal(found.links[0].href, 'https://shop.example.com/products/shirt?variant=1');
+});
+
+test('scanStorefront classifies cookies and trackers across linked pages', async () => {
+  const { port, requests } = await startStorefront({
+    '/': {
+      body: HOME_PAGE,
+      headers: { 'set-cookie': ['localization=US; Max-Age=1209600; Path=/', '_ga_ABC=1; Max-Age=63072000', 'mystery=1'] }
+    },
+    '/products/shirt': { body: '<script src="https://static.hotjar.com/c/hotjar.js"></script>' },
+    // Cookies set on redirects within the store are seen too
+    '/cart': { status: 302, headers: { location: '/cart/', 'set-cookie': 'cart=abc; Max-Age=1209600' } },
+    '/cart/': { body: '<p>Cart</p>' }
+  });
+
+  const report = await scanStorefront({ baseUrl: `http://127.0.0.1:${port}` });
+
+  assert.equal(report.password_protected, false);
+  assert.deepEqual(report.pages.map(page => [page.path, page.status]), [
+    ['/', 200], ['/cart', 200], ['/collections/all', 404], ['/products/shirt', 200], ['/search', 404]
+  ]);
+  assert.ok(!requests.some(url => url.includes('other')), 'links to other sites are not followed');
+
+  const cookies = Object.fromEntries(report.cookies.map(cookie => [cookie.name, cookie]));
+  assert.deepEqual(
+    [cookies.localization.category, cookies.localization.duration, cookies.localization.source],
+    ['necessary', '14 days', 'response']
+  );
+  assert.equal(cookies._ga_ABC.provider, 'Google Analytics');
+  assert.equal(cookies.cart.category, 'necessary');
+  assert.deepEqual(cookies.cart.pages, ['/cart']);
+  assert.equal(cookies.mystery.category, null);
+  // Known to be set in the browser by recognized trackers
+  assert.equal(cookies._fbp.source, 'tracker');
+  assert.equal(cookies.YSC.provider, 'YouTube');
+  assert.equal(cookies['_hjSessionUser_*'].category, 'analytics');
+
+  const trackers = Object.fromEntries(report.trackers.map(tracker => [tracker.host, tracker]));
+  assert.deepEqual(Object.keys(trackers).sort(),
+    ['connect.facebook.net', 'static.hotjar.com', 'widgets.example.net', 'www.youtube.com']);
+  assert.equal(trackers['connect.facebook.net'].category, 'marketing');
+  assert.deepEqual(trackers['www.youtube.com'].types, ['iframe']);
+  assert.deepEqual(trackers['static.hotjar.com'].pages, ['/products/shirt']);
+  assert.equal(trackers['widgets.example.net'].provider, null);
+});
+
+test('scanStorefront flags password-protected stores', async () => {
+  const { port } = await startStorefront({
+    '/': { status: 302, headers: { location: '/password', 'set-cookie': '_shopify_y=1; Max-Age=31536000' } },
+    '/password': { body: '<form></form>' }
+  });
+
+  const report = await scanStorefront({ baseUrl: `http://127.0.0.1:${port}`, maxPages: 1 });
+
+  assert.equal(report.password_protected, true);
+  assert.equal(report.pages[0].url, `http://127.0.0.1:${port}/password`);
+  assert.equal(report.cookies[0].name, '_shopify_y');
+});
+
+test('scanStorefront follows redirects between the store hosts only', async () => {
+  const offSite = await startStorefront({ '/': { body: 'internal' } });
+  const { port } = await startStorefront({
+    '/': { status: 301, headers: { location: `http://localhost:${offSite.port}/` } }
+  });
+
+  // The home page redirecting off-site fails the scan, without fetching the target
+  await assert.rejects(
+    scanStorefront({ baseUrl: `http://127.0.0.1:${port}` }),
+    /redirects to http:\/\/localhost/
+  );
+  assert.deepEqual(offSite.requests, []);
+
+  // Listing the other host as the store's makes it first-party
+  const report = await scanStorefront({ baseUrl: `http://127.0.0.1:${port}`, storeHosts: ['localhost'], maxPages: 3 });
+  assert.equal(report.base_url, `http://localhost:${offSite.port}`);
+  assert.deepEqual(offSite.requests.slice(0, 1), ['/']);
+});
+
+test('scanStorefront records off-site redirects of other pages without following them', async () => {
+  const { port } = await startStorefront({
+    '/': { body: '<p>Home</p>' },
+    '/cart': { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } }
+  });
+
+  const report = await scanStorefront({ baseUrl: `http://127.0.0.1:${port}`, timeoutMs: 1000 });
+
+  const cart = report.pages.find(page => page.path === '/cart');
+  assert.equal(cart.status, 302);
+  assert.equal(cart.off_site_redirect, 'http://169.254.169.254/latest/meta-data/');
+});
+
+test('scanStorefront stops at its deadline', async () => {
+  // Accepts connections but never answers
+  const server = http.createServer(() => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  servers.push(server);
+
+  const startedAt = Date.now();
+  await assert.rejects(
+    scanStorefront({ baseUrl: `http://127.0.0.1:${server.address().port}`, timeoutMs: 5000, deadlineMs: 200 }),
+    /Could not load the storefront/
+  );
+  assert.ok(Date.now() - startedAt < 2000);
+});
+
+test('createCookieScanner saves each scan for the shop', async () => {
+  const { port } = await startStorefront({ '/': { body: '<p>Home</p>' } });
+  const store = createMemoryStore();
+  const scanner = createCookieScanner(store);
+
+  // Marked running while it lasts, so a second request can tell
+  const pending = scanner.run('a.myshopify.com', { baseUrl: `http://127.0.0.1:${port}` });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal((await scanner.get('a.myshopify.com')).status, 'running');
+
+  const completed = await pending;
+  assert.equal(completed.status, 'completed');
+  assert.deepEqual(await scanner.get('a.myshopify.com'), completed);
+
+  const failed = await scanner.run('b.myshopify.com', { baseUrl: 'http://127.0.0.1:1' });
+  assert.equal(failed.status, 'failed');
+  assert.match(failed.error, /Could not load the storefront/);
+  assert.deepEqual(await store.get('cookie-scan:b.myshopify.com'), failed);
+
+  await scanner.deleteShop('a.myshopify.com');
+  assert.equal(await scanner.get('a.myshopify.com'), null);
+});
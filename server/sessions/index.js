@@ -0,0 +1,80 @@
+import { Session } from '@shopify/shopify-api';
+import { decrypt, deriveKey, encrypt } from '../utils/encryption.js';
+
+/**
+ * Session storage for `shopifyApp` backed by the app's key-value store, so OAuth
+ * sessions survive restarts and serverless cold starts.
+ * Sessions are encrypted at rest, since they hold the shop's access token.
+ *
+ * Keys follow Shopify's session IDs: `offline_<shop>` for offline tokens and
+ * `<shop>_<user id>` for online tokens, so a shop's sessions can be found by prefix.
+ * @param {import('../storage/index.js').KeyValueStore} store - Storage backend
+ * @param {Object} options
+ * @param {string} options.secret - Secret the encryption key is derived from
+ * @returns {import('@shopify/shopify-app-session-storage').SessionStorage & Object}
+ */
+export function createSessionStorage(store, { secret }) {
+  const key = deriveKey(secret);
+  const keyFor = (id) => `session:${id}`;
+
+  const load = async (id) => {
+    const stored = await store.get(keyFor(id));
+    if (!stored) return undefined;
+
+    // Sessions encrypted with a previous secret can't be read; the merchant goes through OAuth again
+    const json = decrypt(stored, key);
+    if (!json) return undefined;
+
+    const { expires, ...params } = JSON.parse(json);
+    return new Session({ ...params, ...(expires && { expires: new Date(expires) }) });
+  };
+
+  return {
+    async storeSession(session) {
+      await store.set(keyFor(session.id), encrypt(JSON.stringify(session.toObject()), key));
+      return true;
+    },
+
+    async loadSession(id) {
+      return load(id);
+    },
+
+    async deleteSession(id) {
+      await store.delete(keyFor(id));
+      return true;
+    },
+
+    async deleteSessions(ids) {
+      await Promise.all(ids.map(id => store.delete(keyFor(id))));
+      return true;
+    },
+
+    async findSessionsByShop(shop) {
+      const onlineKeys = await store.keys(keyFor(`${shop}_`));
+      const sessions = await Promise.all([
+        load(`offline_${shop}`),
+        ...onlineKeys.map(storedKey => load(storedKey.slice(keyFor('').length)))
+      ]);
+      return sessions.filter(Boolean);
+    },
+
+    /**
+     * Load the shop's offline session, for work done without a merchant in the admin
+     * @param {string} shop - Shop domain
+     * @returns {Promise<Session|undefined>}
+     */
+    async loadOfflineSession(shop) {
+      return load(`offline_${shop}`);
+    },
+
+    /**
+     * Delete every session of a shop, online and offline
+     * @param {string} shop - Shop domain
+     */
+    async deleteShop(shop) {
+      // Delete by key, so sessions that can no longer be decrypted go too
+      const onlineKeys = await store.keys(keyFor(`${shop}_`));
+      await Promise.all([keyFor(`offline_${shop}`), ...onlineKeys].map(storedKey => store.delete(storedKey)));
+    }
+  };
+}
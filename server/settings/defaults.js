@@ -0,0 +1,118 @@
+/**
+ * Consent categories, in display order. `necessary` is always granted.
+ */
+export const CONSENT_CATEGORY_IDS = ['necessary', 'analytics', 'marketing', 'preferences'];
+
+/**
+ * Preset region groups merchants can target; the storefront script expands them to country codes
+ */
+export const GEO_REGION_GROUPS = ['eea', 'uk', 'switzerland'];
+
+/**
+ * Consent categories a blocked third-party domain can be assigned to
+ */
+export const BLOCKABLE_CATEGORY_IDS = ['analytics', 'marketing', 'preferences'];
+
+/**
+ * Settings an A/B test variant can override
+ */
+export const VARIANT_OVERRIDE_FIELDS = ['popup_title', 'popup_text', 'accept_text', 'decline_text', 'show_decline', 'position'];
+
+/**
+ * Variant ID of the unchanged popup in an A/B test
+ */
+export const CONTROL_VARIANT_ID = 'control';
+
+/**
+ * Default popup settings, mirroring the defaults of the theme app embed block
+ */
+export const DEFAULT_SETTINGS = {
+  popup_enabled: true,
+  popup_title: 'Privacy Notice',
+  popup_text: 'We use cookies to improve your experience on our site. By continuing to browse, you agree to our use of cookies.',
+  accept_text: 'Accept',
+  decline_text: 'Decline',
+  show_decline: false,
+  privacy_policy_url: '',
+  policy_link_text: 'Privacy Policy',
+  position: 'bottom',
+  delay: 2,
+  background_color: '#ffffff',
+  text_color: '#333333',
+  accept_button_color: '#007cba',
+  accept_button_text_color: '#ffffff',
+  secondary_button_color: '#ffffff',
+  secondary_button_text_color: '#333333',
+  layout: 'floating',
+  layout_side: 'right',
+  font_source: 'theme',
+  font_family: '',
+  font_size: 14,
+  border_radius: 8,
+  shadow: 'subtle',
+  button_style: 'filled',
+  logo_url: '',
+  custom_css: '',
+  show_preferences: false,
+  preferences_text: 'Manage preferences',
+  save_preferences_text: 'Save preferences',
+  consent_categories: [
+    {
+      id: 'necessary',
+      name: 'Strictly necessary',
+      description: 'Required for the store to work, such as keeping your cart and checkout secure. These cannot be turned off.'
+    },
+    {
+      id: 'analytics',
+      name: 'Analytics',
+      description: 'Help us understand how visitors use the store so we can improve it.'
+    },
+    {
+      id: 'marketing',
+      name: 'Marketing',
+      description: 'Used to show you relevant ads and measure the performance of our campaigns.'
+    },
+    {
+      id: 'preferences',
+      name: 'Preferences',
+      description: 'Remember choices such as language and region to personalize your visit.'
+    }
+  ],
+  consent_mode_enabled: false,
+  consent_mode_wait_for_update: 500,
+  consent_mode_region_defaults: [],
+  consent_log_enabled: true,
+  analytics_enabled: true,
+  geo_mode: 'all',
+  geo_region_groups: ['eea', 'uk', 'switzerland'],
+  geo_countries: [],
+  page_mode: 'all',
+  page_templates: [],
+  page_url_patterns: [],
+  trigger_page_views: 1,
+  trigger_scroll_depth: 0,
+  trigger_exit_intent: false,
+  ccpa_enabled: false,
+  ccpa_regions: ['US-CA'],
+  ccpa_title: 'Your Privacy Choices',
+  ccpa_text: 'We may sell or share your personal information with partners for targeted advertising. You can opt out at any time.',
+  ccpa_opt_out_text: 'Do Not Sell or Share My Personal Information',
+  ccpa_acknowledge_text: 'OK',
+  policy_version: 1,
+  policy_changelog: '',
+  consent_lifetime_days: 365,
+  decline_lifetime_days: 180,
+  dismiss_behavior: 'session',
+  consent_storage: 'local_storage',
+  cookie_domain: '',
+  cookie_same_site: 'Lax',
+  reopen_widget_enabled: false,
+  reopen_widget_text: 'Cookie settings',
+  reopen_widget_position: 'bottom-left',
+  revoke_text: 'Withdraw consent',
+  translations: {},
+  blocked_domains: [],
+  cookie_declaration: [],
+  ab_test_enabled: false,
+  ab_variants: []
+};
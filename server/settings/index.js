@@ -0,0 +1,103 @@
+import { FEATURE_SETTINGS } from '../billing/plans.js';
+import { CONTROL_VARIANT_ID, DEFAULT_SETTINGS } from './defaults.js';
+import { validateSettings } from './schema.js';
+
+export { DEFAULT_SETTINGS } from './defaults.js';
+
+/**
+ * Error thrown when submitted settings fail schema validation
+ */
+export class SettingsValidationError extends Error {
+  /**
+   * @param {Object<string, string>} errors - Field-level error messages
+   */
+  constructor(errors) {
+    super('Invalid settings');
+    this.name = 'SettingsValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Per-shop popup settings persisted in a key-value store
+ * @param {import('../storage/index.js').KeyValueStore} store - Storage backend
+ */
+export function createSettingsService(store) {
+  const keyFor = (shop) => `settings:${shop}`;
+
+  return {
+    /**
+     * Load a shop's settings, filling in defaults for anything not yet saved
+     * @param {string} shop - Shop domain
+     * @returns {Promise<Object>}
+     */
+    async get(shop) {
+      const saved = await store.get(keyFor(shop));
+      return { ...DEFAULT_SETTINGS, ...saved };
+    },
+
+    /**
+     * Validate and save settings for a shop. Fields that are omitted keep their current value,
+     * and so do the settings of paid features missing from `features`.
+     * @param {string} shop - Shop domain
+     * @param {Object} input - Submitted settings
+     * @param {Object} [options]
+     * @param {string[]} [options.features] - Features of the shop's plan; all of them when omitted
+     * @returns {Promise<Object>} - The saved settings
+     * @throws {SettingsValidationError} - When any field is invalid
+     */
+    async save(shop, input, { features } = {}) {
+      const current = await this.get(shop);
+      const submitted = { ...input };
+      if (features) {
+        for (const [feature, fields] of Object.entries(FEATURE_SETTINGS)) {
+          if (!features.includes(feature)) {
+            fields.forEach(field => delete submitted[field]);
+          }
+        }
+      }
+
+      const { settings, errors } = validateSettings({ ...current, ...submitted });
+      if (errors) {
+        throw new SettingsValidationError(errors);
+      }
+
+      // Stamp every save so storefront events can be tied to the popup version that was shown
+      const now = new Date().toISOString();
+      const saved = { ...settings, updated_at: now };
+
+      // Remember when the A/B test started, so its results leave out earlier tests
+      if (settings.ab_test_enabled) {
+        saved.ab_test_started_at = (current.ab_test_enabled && current.ab_test_started_at) || now;
+      }
+      await store.set(keyFor(shop), saved);
+      return saved;
+    },
+
+    /**
+     * End a shop's A/B test, making the winning variant's overrides the new settings.
+     * Promoting the control keeps the current settings.
+     * @param {string} shop - Shop domain
+     * @param {string} variantId - Winning variant, or `control`
+     * @returns {Promise<Object>} - The saved settings
+     * @throws {SettingsValidationError} - When the variant doesn't exist
+     */
+    async promoteVariant(shop, variantId) {
+      const current = await this.get(shop);
+      const variant = current.ab_variants.find(candidate => candidate.id === variantId);
+      if (!variant && variantId !== CONTROL_VARIANT_ID) {
+        throw new SettingsValidationError({ ab_variants: `Unknown variant: ${variantId}` });
+      }
+
+      return this.save(shop, { ...variant?.overrides, ab_test_enabled: false, ab_variants: [] });
+    },
+
+    /**
+     * Remove all saved settings for a shop
+     * @param {string} shop - Shop domain
+     */
+    async delete(shop) {
+      await store.delete(keyFor(shop));
+    }
+  };
+}
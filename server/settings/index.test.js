@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSettingsService, DEFAULT_SETTINGS, SettingsValidationError } from './index.js';
+import { createMemoryStore } from '../storage/memoryStore.js';
+
+const SHOP = 'a.myshopify.com';
+
+test('save keeps omitted fields and rejects invalid ones', async () => {
+  const settingsService = createSettingsService(createMemoryStore());
+
+  const saved = await settingsService.save(SHOP, { popup_title: 'Cookies', unknown_field: 1 });
+  assert.equal(saved.popup_title, 'Cookies');
+  assert.equal(saved.accept_text, DEFAULT_SETTINGS.accept_text);
+  assert.equal('unknown_field' in saved, false);
+  assert.ok(saved.updated_at);
+
+  await assert.rejects(
+    settingsService.save(SHOP, { popup_title: '' }),
+    (error) => error instanceof SettingsValidationError && 'popup_title' in error.errors
+  );
+  assert.equal((await settingsService.get(SHOP)).popup_title, 'Cookies');
+});
+
+test('save leaves the settings of features outside the plan unchanged', async () => {
+  const settingsService = createSettingsService(createMemoryStore());
+  await settingsService.save(SHOP, { geo_mode: 'include', geo_region_groups: ['eea'] });
+
+  const saved = await settingsService.save(SHOP, {
+    popup_title: 'Cookies',
+    geo_mode: 'exclude',
+    ab_test_enabled: true,
+    translations: { de: { popup_title: 'Kekse', categories: {} } }
+  }, { features: ['translations'] });
+
+  assert.equal(saved.popup_title, 'Cookies');
+  assert.equal(saved.geo_mode, 'include');
+  assert.equal(saved.ab_test_enabled, DEFAULT_SETTINGS.ab_test_enabled);
+  assert.equal(saved.translations.de.popup_title, 'Kekse');
+});
@@ -0,0 +1,66 @@
+/**
+ * App-owned metafield read by the theme app embed block
+ */
+export const SETTINGS_METAFIELD = {
+  namespace: '$app:privacy-popup',
+  key: 'settings'
+};
+
+const APP_INSTALLATION_QUERY = `#graphql
+  query AppInstallationId {
+    currentAppInstallation {
+      id
+    }
+  }
+`;
+
+const METAFIELDS_SET_MUTATION = `#graphql
+  mutation SetSettingsMetafield($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        id
+        updatedAt
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Write popup settings to the app installation metafield so the storefront block can read them
+ * @param {Object} api - The `shopify.api` object from shopifyApp
+ * @param {Object} session - Authenticated Shopify session
+ * @param {Object} settings - Validated popup settings
+ * @returns {Promise<Object>} - The written metafield (id, updatedAt)
+ */
+export async function syncSettingsMetafield(api, session, settings) {
+  const client = new api.clients.Graphql({ session });
+
+  const installation = await client.query({ data: { query: APP_INSTALLATION_QUERY } });
+  const ownerId = installation.body.data.currentAppInstallation.id;
+
+  const response = await client.query({
+    data: {
+      query: METAFIELDS_SET_MUTATION,
+      variables: {
+        metafields: [{
+          ownerId,
+          namespace: SETTINGS_METAFIELD.namespace,
+          key: SETTINGS_METAFIELD.key,
+          type: 'json',
+          value: JSON.stringify(settings)
+        }]
+      }
+    }
+  });
+
+  const { metafields, userErrors } = response.body.data.metafieldsSet;
+  if (userErrors.length) {
+    throw new Error(`metafieldsSet failed: ${userErrors.map(e => e.message).join(', ')}`);
+  }
+
+  return metafields[0];
+}
@@ -0,0 +1,395 @@
+import {
+  BLOCKABLE_CATEGORY_IDS,
+  CONSENT_CATEGORY_IDS,
+  CONTROL_VARIANT_ID,
+  GEO_REGION_GROUPS,
+  VARIANT_OVERRIDE_FIELDS
+} from './defaults.js';
+
+/**
+ * Field validators for popup settings.
+ * Each validator returns an error message, or null when the value is valid.
+ * Validators for nested values may instead return an object of sub-field errors,
+ * and may carry a `normalize` function applied to the value once it is valid.
+ */
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const LOCALE_CODE = /^[a-z]{2,3}(?:-[A-Z][A-Za-z0-9]{1,3})?$/;
+const DOMAIN = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const FONT_FAMILY = /^[A-Za-z0-9 ,'"-]{0,200}$/;
+const TEMPLATE_NAME = /^[a-z0-9_-]{1,50}$/;
+const URL_GLOB = /^\/[A-Za-z0-9\-._~%*\/]{0,200}$/;
+const VARIANT_ID = /^[a-z0-9_-]{1,32}$/;
+const COOKIE_DOMAIN = /^\.?(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Record a nested validator's error under `key`, flattening sub-field errors to dotted paths
+ */
+function addErrors(errors, key, error) {
+  if (error && typeof error === 'object') {
+    for (const [subfield, message] of Object.entries(error)) {
+      errors[`${key}.${subfield}`] = message;
+    }
+  } else if (error) {
+    errors[key] = error;
+  }
+}
+
+export const boolean = () => (value) =>
+  typeof value === 'boolean' ? null : 'Must be true or false';
+
+export const string = ({ max, required = false } = {}) => (value) => {
+  if (typeof value !== 'string') return 'Must be text';
+  if (required && !value.trim()) return 'Is required';
+  if (max && value.length > max) return `Must be at most ${max} characters`;
+  return null;
+};
+
+export const integer = ({ min, max }) => (value) => {
+  if (!Number.isInteger(value)) return 'Must be a whole number';
+  if (value < min || value > max) return `Must be between ${min} and ${max}`;
+  return null;
+};
+
+export const oneOf = (options) => (value) =>
+  options.includes(value) ? null : `Must be one of: ${options.join(', ')}`;
+
+export const color = () => (value) =>
+  typeof value === 'string' && HEX_COLOR.test(value) ? null : 'Must be a hex color like #ffffff';
+
+/**
+ * A list of values that each pass `validateItem`, with errors keyed by index
+ */
+export const arrayOf = (validateItem, { max }) => Object.assign((value) => {
+  if (!Array.isArray(value)) return 'Must be a list';
+  if (value.length > max) return `Must have at most ${max} entries`;
+
+  const errors = {};
+  value.forEach((item, index) => addErrors(errors, index, validateItem(item)));
+  return Object.keys(errors).length ? errors : null;
+}, {
+  normalize: (value) => validateItem.normalize ? value.map(validateItem.normalize) : value
+});
+
+/**
+ * An object whose keys pass `validateKey` and whose values each pass `validateValue`,
+ * with errors keyed by property
+ */
+export const mapOf = (validateKey, validateValue, { max }) => Object.assign((value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'Must be an object';
+  const entries = Object.entries(value);
+  if (entries.length > max) return `Must have at most ${max} entries`;
+
+  const errors = {};
+  for (const [key, item] of entries) {
+    addErrors(errors, key, validateKey(key) || validateValue(item));
+  }
+  return Object.keys(errors).length ? errors : null;
+}, {
+  normalize: (value) => Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      validateValue.normalize ? validateValue.normalize(item) : item
+    ])
+  )
+});
+
+/**
+ * An object whose properties each pass their own validator
+ */
+export const shape = (validators) => Object.assign((value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'Must be an object';
+
+  const errors = {};
+  for (const [field, validate] of Object.entries(validators)) {
+    addErrors(errors, field, validate(value[field]));
+  }
+  return Object.keys(errors).length ? errors : null;
+}, {
+  // Keep only known properties
+  normalize: (value) => Object.fromEntries(
+    Object.entries(validators).map(([field, validate]) => [
+      field,
+      validate.normalize ? validate.normalize(value[field]) : value[field]
+    ])
+  )
+});
+
+/**
+ * ISO 3166 region codes, e.g. `DE` or `US-CA`
+ */
+export const regionCodes = ({ allowEmpty = false } = {}) => (value) => {
+  if (!Array.isArray(value)) return 'Must be a list of regions';
+  if (!allowEmpty && !value.length) return 'Must list at least one region';
+  const invalid = value.filter(code => typeof code !== 'string' || !/^[A-Z]{2}(?:-[A-Z0-9]{1,3})?$/.test(code));
+  return invalid.length ? `Invalid region codes: ${invalid.join(', ')}` : null;
+};
+
+/**
+ * A subset of `options`, without duplicates
+ */
+export const subsetOf = (options) => (value) => {
+  if (!Array.isArray(value)) return 'Must be a list';
+  const invalid = value.filter(option => !options.includes(option));
+  if (invalid.length) return `Unknown values: ${invalid.join(', ')}`;
+  return new Set(value).size === value.length ? null : 'Must not contain duplicates';
+};
+
+/**
+ * Accepts an empty string, a store-relative path or an absolute http(s) URL.
+ * Browsers read `//host` and `/\host` as links to another site, so paths start with a single slash.
+ */
+export const url = () => (value) => {
+  if (typeof value !== 'string') return 'Must be a URL';
+  if (value === '' || /^\/(?![/\\])/.test(value)) return null;
+  if (value.startsWith('/')) return 'Must be a path on your store or an http(s) URL';
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'https:' || protocol === 'http:' ? null : 'Must be an http(s) URL';
+  } catch {
+    return 'Must be a valid URL';
+  }
+};
+
+export const pattern = (regex, message) => (value) =>
+  typeof value === 'string' && regex.test(value) ? null : message;
+
+export const isoDate = () => (value) =>
+  typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : 'Must be an ISO 8601 date';
+
+/**
+ * Merchant CSS injected into the storefront. Rejects `<` so it cannot close its style tag.
+ */
+export const css = ({ max }) => (value) => {
+  const error = string({ max })(value);
+  if (error) return error;
+  return value.includes('<') ? 'Must not contain <' : null;
+};
+
+/**
+ * Makes a validator accept undefined and empty strings
+ */
+export const optional = (validate) => Object.assign(
+  (value) => (value === undefined || value === '' ? null : validate(value)),
+  { normalize: (value) => (value === undefined ? '' : validate.normalize ? validate.normalize(value) : value) }
+);
+
+/**
+ * One entry per consent category, each with an editable name and description
+ */
+export const consentCategories = () => Object.assign((value) => {
+  if (!Array.isArray(value)) return 'Must be a list of categories';
+
+  const ids = value.map(category => category?.id);
+  if (ids.length !== CONSENT_CATEGORY_IDS.length || !CONSENT_CATEGORY_IDS.every(id => ids.includes(id))) {
+    return `Must contain the categories: ${CONSENT_CATEGORY_IDS.join(', ')}`;
+  }
+
+  const name = string({ max: 40, required: true });
+  const description = string({ max: 500 });
+  const errors = {};
+  for (const category of value) {
+    const nameError = name(category.name);
+    const descriptionError = description(category.description);
+    if (nameError) errors[`${category.id}.name`] = nameError;
+    if (descriptionError) errors[`${category.id}.description`] = descriptionError;
+  }
+  return Object.keys(errors).length ? errors : null;
+}, {
+  // Keep only known keys, in display order
+  normalize: (value) => CONSENT_CATEGORY_IDS.map(id => {
+    const { name, description = '' } = value.find(category => category.id === id);
+    return { id, name, description };
+  })
+});
+
+/**
+ * Storefront copy for one locale. Blank fields fall back to the base settings.
+ */
+export const translation = () => shape({
+  popup_title: optional(string({ max: 100 })),
+  popup_text: optional(string({ max: 1000 })),
+  accept_text: optional(string({ max: 40 })),
+  decline_text: optional(string({ max: 40 })),
+  privacy_policy_url: optional(url()),
+  policy_link_text: optional(string({ max: 60 })),
+  preferences_text: optional(string({ max: 40 })),
+  save_preferences_text: optional(string({ max: 40 })),
+  ccpa_title: optional(string({ max: 100 })),
+  ccpa_text: optional(string({ max: 1000 })),
+  ccpa_opt_out_text: optional(string({ max: 80 })),
+  ccpa_acknowledge_text: optional(string({ max: 40 })),
+  policy_changelog: optional(string({ max: 500 })),
+  reopen_widget_text: optional(string({ max: 40 })),
+  revoke_text: optional(string({ max: 40 })),
+  categories: mapOf(oneOf(CONSENT_CATEGORY_IDS), shape({
+    name: optional(string({ max: 40 })),
+    description: optional(string({ max: 500 }))
+  }), { max: CONSENT_CATEGORY_IDS.length })
+});
+
+/**
+ * A subset of `fields`, each checked by the validator of the setting it replaces
+ */
+export const settingsOverrides = (fields) => Object.assign((value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'Must be an object';
+
+  const errors = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    addErrors(errors, field, fields.includes(field) ? SETTINGS_SCHEMA[field](fieldValue) : 'Cannot be overridden');
+  }
+  return Object.keys(errors).length ? errors : null;
+}, {
+  normalize: (value) => Object.fromEntries(
+    Object.entries(value).map(([field, fieldValue]) => {
+      const { normalize } = SETTINGS_SCHEMA[field];
+      return [field, normalize ? normalize(fieldValue) : fieldValue];
+    })
+  )
+});
+
+/**
+ * A/B test variants, each showing its overrides to a share of visitors.
+ * The control popup gets whatever traffic the variants leave.
+ */
+export const abVariants = ({ max }) => {
+  const validateId = pattern(VARIANT_ID, 'Must be a variant ID like b');
+  const validateList = arrayOf(shape({
+    id: (value) => (value === CONTROL_VARIANT_ID ? 'Is reserved for the control popup' : validateId(value)),
+    name: string({ max: 40, required: true }),
+    weight: integer({ min: 0, max: 100 }),
+    overrides: settingsOverrides(VARIANT_OVERRIDE_FIELDS)
+  }), { max });
+
+  return Object.assign((value) => {
+    const error = validateList(value);
+    if (error) return error;
+
+    const ids = value.map(variant => variant.id);
+    if (new Set(ids).size !== ids.length) return 'Variant IDs must be unique';
+    if (value.reduce((total, variant) => total + variant.weight, 0) > 100) {
+      return 'Variants can get at most 100% of visitors together';
+    }
+    return null;
+  }, { normalize: validateList.normalize });
+};
+
+/**
+ * Validators for every field the settings page sends
+ */
+export const SETTINGS_SCHEMA = {
+  popup_enabled: boolean(),
+  popup_title: string({ max: 100, required: true }),
+  popup_text: string({ max: 1000, required: true }),
+  accept_text: string({ max: 40, required: true }),
+  decline_text: string({ max: 40 }),
+  show_decline: boolean(),
+  privacy_policy_url: url(),
+  policy_link_text: string({ max: 60 }),
+  position: oneOf(['bottom', 'top', 'center']),
+  delay: integer({ min: 0, max: 10 }),
+  background_color: color(),
+  text_color: color(),
+  accept_button_color: color(),
+  accept_button_text_color: color(),
+  secondary_button_color: color(),
+  secondary_button_text_color: color(),
+  layout: oneOf(['floating', 'bar', 'corner', 'modal', 'side-panel']),
+  layout_side: oneOf(['left', 'right']),
+  font_source: oneOf(['theme', 'custom']),
+  font_family: optional(pattern(FONT_FAMILY, 'Must be a font family list like Georgia, serif')),
+  font_size: integer({ min: 12, max: 20 }),
+  border_radius: integer({ min: 0, max: 32 }),
+  shadow: oneOf(['none', 'subtle', 'strong']),
+  button_style: oneOf(['filled', 'outline', 'link']),
+  logo_url: url(),
+  custom_css: css({ max: 5000 }),
+  show_preferences: boolean(),
+  preferences_text: string({ max: 40, required: true }),
+  save_preferences_text: string({ max: 40, required: true }),
+  consent_categories: consentCategories(),
+  consent_mode_enabled: boolean(),
+  consent_mode_wait_for_update: integer({ min: 0, max: 10000 }),
+  consent_mode_region_defaults: arrayOf(shape({
+    regions: regionCodes(),
+    analytics: oneOf(['granted', 'denied']),
+    marketing: oneOf(['granted', 'denied']),
+    preferences: oneOf(['granted', 'denied'])
+  }), { max: 20 }),
+  consent_log_enabled: boolean(),
+  analytics_enabled: boolean(),
+  geo_mode: oneOf(['all', 'include', 'exclude']),
+  geo_region_groups: subsetOf(GEO_REGION_GROUPS),
+  geo_countries: regionCodes({ allowEmpty: true }),
+  page_mode: oneOf(['all', 'include', 'exclude']),
+  page_templates: arrayOf(pattern(TEMPLATE_NAME, 'Must be a template name like product'), { max: 20 }),
+  page_url_patterns: arrayOf(pattern(URL_GLOB, 'Must be a path like /pages/* starting with /'), { max: 20 }),
+  trigger_page_views: integer({ min: 1, max: 20 }),
+  trigger_scroll_depth: integer({ min: 0, max: 100 }),
+  trigger_exit_intent: boolean(),
+  ccpa_enabled: boolean(),
+  ccpa_regions: regionCodes(),
+  ccpa_title: string({ max: 100, required: true }),
+  ccpa_text: string({ max: 1000, required: true }),
+  ccpa_opt_out_text: string({ max: 80, required: true }),
+  ccpa_acknowledge_text: string({ max: 40, required: true }),
+  policy_version: integer({ min: 1, max: 1000000 }),
+  policy_changelog: string({ max: 500 }),
+  consent_lifetime_days: integer({ min: 1, max: 730 }),
+  decline_lifetime_days: integer({ min: 1, max: 730 }),
+  dismiss_behavior: oneOf(['session', 'decline', 'none']),
+  consent_storage: oneOf(['local_storage', 'cookie', 'both']),
+  cookie_domain: optional(pattern(COOKIE_DOMAIN, 'Must be a domain like example.com')),
+  cookie_same_site: oneOf(['Lax', 'Strict', 'None']),
+  reopen_widget_enabled: boolean(),
+  reopen_widget_text: string({ max: 40, required: true }),
+  reopen_widget_position: oneOf(['bottom-left', 'bottom-right']),
+  revoke_text: string({ max: 40, required: true }),
+  translations: mapOf(pattern(LOCALE_CODE, 'Must be a locale code like de or pt-BR'), translation(), { max: 50 }),
+  blocked_domains: arrayOf(shape({
+    domain: pattern(DOMAIN, 'Must be a domain like connect.facebook.net'),
+    category: oneOf(BLOCKABLE_CATEGORY_IDS)
+  }), { max: 100 }),
+  cookie_declaration: arrayOf(shape({
+    name: string({ max: 100, required: true }),
+    provider: string({ max: 100 }),
+    category: oneOf(CONSENT_CATEGORY_IDS),
+    purpose: string({ max: 300 }),
+    duration: string({ max: 50 })
+  }), { max: 200 }),
+  ab_test_enabled: boolean(),
+  ab_variants: abVariants({ max: 3 })
+};
+
+/**
+ * Validate an object against a schema of field validators, dropping unknown fields
+ * @param {Object<string, Function>} schema - Validator per field
+ * @param {Object} input - Object to validate
+ * @returns {{ value: Object, errors: Object<string, string> | null }} - Known fields and field-level errors,
+ *   with nested errors keyed by dotted path (e.g. `consent_categories.analytics.name`)
+ */
+export function validateObject(schema, input) {
+  const value = {};
+  const errors = {};
+
+  for (const [field, validate] of Object.entries(schema)) {
+    const error = validate(input[field]);
+    if (error) {
+      addErrors(errors, field, error);
+    } else {
+      value[field] = validate.normalize ? validate.normalize(input[field]) : input[field];
+    }
+  }
+
+  return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+/**
+ * Validate settings against the settings schema
+ * @param {Object} input - Settings to validate
+ * @returns {{ settings: Object, errors: Object<string, string> | null }}
+ */
+export function validateSettings(input) {
+  const { value, errors } = validateObject(SETTINGS_SCHEMA, input);
+  return { settings: value, errors };
+}
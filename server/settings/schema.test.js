@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SETTINGS } from './defaults.js';
+import { color, css, optional, string, url, validateSettings } from './schema.js';
+
+test('the default settings are valid', () => {
+  assert.deepEqual(validateSettings(DEFAULT_SETTINGS), { settings: DEFAULT_SETTINGS, errors: null });
+});
+
+test('validateSettings drops unknown fields and reports nested errors by path', () => {
+  const { settings, errors } = validateSettings({
+    ...DEFAULT_SETTINGS,
+    popup_title: '',
+    delay: 11,
+    position: 'left',
+    consent_categories: DEFAULT_SETTINGS.consent_categories.map(category =>
+      category.id === 'analytics' ? { ...category, name: '' } : category
+    ),
+    blocked_domains: [{ domain: 'not a domain', category: 'necessary' }],
+    admin: true
+  });
+
+  assert.equal('admin' in settings, false);
+  assert.deepEqual(Object.keys(errors).sort(), [
+    'blocked_domains.0.category',
+    'blocked_domains.0.domain',
+    'consent_categories.analytics.name',
+    'delay',
+    'popup_title',
+    'position'
+  ]);
+});
+
+test('url accepts store paths and http(s) URLs only', () => {
+  const validate = url();
+  for (const value of ['', '/', '/pages/privacy', 'https://example.com/privacy', 'http://example.com']) {
+    assert.equal(validate(value), null, value);
+  }
+  for (const value of ['//evil.example/logo.png', '/\\evil.example', 'javascript:alert(1)', 'data:text/html,x', 'privacy', 1]) {
+    assert.notEqual(validate(value), null, String(value));
+  }
+});
+
+test('color accepts 3- and 6-digit hex colors', () => {
+  assert.equal(color()('#abc'), null);
+  assert.equal(color()('#A1B2C3'), null);
+  assert.notEqual(color()('#abcd'), null);
+  assert.notEqual(color()('red'), null);
+});
+
+test('css rejects markup that could close the style tag', () => {
+  assert.equal(css({ max: 100 })('.popup { color: red; }'), null);
+  assert.equal(css({ max: 100 })('</style><script>'), 'Must not contain <');
+  assert.equal(css({ max: 5 })('a{}b{}'), 'Must be at most 5 characters');
+});
+
+test('optional accepts blanks and normalizes missing values to empty strings', () => {
+  const validate = optional(string({ max: 3 }));
+  assert.equal(validate(undefined), null);
+  assert.equal(validate(''), null);
+  assert.equal(validate('abcd'), 'Must be at most 3 characters');
+  assert.equal(validate.normalize(undefined), '');
+});
+
+test('A/B test variants may only override the variant fields', () => {
+  const variant = (overrides) => ({ id: 'b', name: 'B', weight: 50, ...overrides });
+  const errorsFor = (abVariants) => validateSettings({ ...DEFAULT_SETTINGS, ab_variants: abVariants }).errors;
+
+  assert.equal(errorsFor([variant({ overrides: { popup_title: 'Cookies?', position: 'top' } })]), null);
+  assert.deepEqual(errorsFor([variant({ overrides: { custom_css: 'x' } })]), {
+    'ab_variants.0.overrides.custom_css': 'Cannot be overridden'
+  });
+  assert.deepEqual(errorsFor([variant({ overrides: { position: 'left' } })]), {
+    'ab_variants.0.overrides.position': 'Must be one of: bottom, top, center'
+  });
+  assert.ok(errorsFor([variant({ id: 'control', overrides: {} })])['ab_variants.0.id']);
+  assert.ok(errorsFor([variant({ overrides: {} }), variant({ id: 'c', weight: 60, overrides: {} })]).ab_variants);
+});
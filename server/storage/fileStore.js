@@ -0,0 +1,69 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+
+/**
+ * File-backed key-value store for local development.
+ * Every key is written to its own JSON file inside `directory`.
+ * @param {Object} options
+ * @param {string} options.directory - Directory holding the data files
+ * @returns {import('./index.js').KeyValueStore}
+ */
+export function createFileStore({ directory }) {
+  // Created on first use, so a failure surfaces as that operation's error
+  let created = null;
+  const ready = () => {
+    created ||= fs.mkdir(directory, { recursive: true }).catch((error) => {
+      created = null;
+      throw error;
+    });
+    return created;
+  };
+
+  const pathFor = (key) => join(directory, `${encodeURIComponent(key)}.json`);
+
+  return {
+    async get(key) {
+      await ready();
+      try {
+        return JSON.parse(await fs.readFile(pathFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async set(key, value) {
+      await ready();
+      // Write to a temp file first so a crash never leaves half-written JSON behind
+      const path = pathFor(key);
+      const tempPath = `${path}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(value), 'utf8');
+      await fs.rename(tempPath, path);
+    },
+
+    async delete(key) {
+      await ready();
+      await fs.rm(pathFor(key), { force: true });
+    },
+
+    // Counters are stored with their expiry, as files can't expire on their own
+    async increment(key, ttlMs) {
+      const counter = await this.get(key);
+      const now = Date.now();
+      const next = counter && counter.expires_at > now
+        ? { count: counter.count + 1, expires_at: counter.expires_at }
+        : { count: 1, expires_at: now + ttlMs };
+      await this.set(key, next);
+      return next.count;
+    },
+
+    async keys(prefix = '') {
+      await ready();
+      const files = await fs.readdir(directory);
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => decodeURIComponent(file.slice(0, -'.json'.length)))
+        .filter(key => key.startsWith(prefix));
+    }
+  };
+}
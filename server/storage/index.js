@@ -0,0 +1,49 @@
+import { join } from 'path';
+import { createFileStore } from './fileStore.js';
+import { createKvStore } from './kvStore.js';
+import { createMemoryStore } from './memoryStore.js';
+
+/**
+ * @typedef {Object} KeyValueStore
+ * @property {(key: string) => Promise<any>} get - Read a JSON value, or null when missing
+ * @property {(key: string, value: any) => Promise<void>} set - Write a JSON value
+ * @property {(key: string) => Promise<void>} delete - Remove a key
+ * @property {(prefix?: string) => Promise<string[]>} keys - List keys starting with prefix
+ * @property {(key: string, ttlMs: number) => Promise<number>} increment - Add one to a counter and return
+ *   the new count; a counter expires `ttlMs` after its first increment and is only read through `increment`
+ */
+
+/**
+ * Create the key-value store that backs all per-shop app data.
+ * The kv adapter only falls back to memory without its credentials in development.
+ * @param {Object} options
+ * @param {'file'|'kv'|'memory'} options.adapter - Storage backend to use
+ * @param {string} [options.directory] - Data directory for the file adapter
+ * @returns {KeyValueStore}
+ */
+export function createStore({ adapter, directory }) {
+  switch (adapter) {
+    case 'file':
+      return createFileStore({ directory: directory || process.env.DATA_DIR || join(process.cwd(), 'data') });
+
+    case 'kv':
+      if (!process.env.KV_REST_API_URL || !process.env.KV_REST_API_TOKEN) {
+        // Losing every shop's data on each cold start is worse than failing to start
+        if (process.env.NODE_ENV !== 'development') {
+          throw new Error('KV_REST_API_URL and KV_REST_API_TOKEN must be set to use the kv storage adapter');
+        }
+        console.warn('⚠️ KV_REST_API_URL/KV_REST_API_TOKEN not set, falling back to in-memory storage');
+        return createMemoryStore();
+      }
+      return createKvStore({
+        url: process.env.KV_REST_API_URL,
+        token: process.env.KV_REST_API_TOKEN
+      });
+
+    case 'memory':
+      return createMemoryStore();
+
+    default:
+      throw new Error(`Unknown storage adapter: ${adapter}`);
+  }
+}
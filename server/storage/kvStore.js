@@ -0,0 +1,60 @@
+/**
+ * Key-value store backed by a Redis-compatible REST API (Vercel KV / Upstash).
+ * Suited to serverless functions, where the local filesystem is not shared between invocations.
+ * @param {Object} options
+ * @param {string} options.url - REST API base URL
+ * @param {string} options.token - REST API bearer token
+ * @returns {import('./index.js').KeyValueStore}
+ */
+export function createKvStore({ url, token }) {
+  async function command(...args) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(args)
+    });
+
+    const payload = await response.json();
+    if (!response.ok || payload.error) {
+      throw new Error(`KV command ${args[0]} failed: ${payload.error || response.status}`);
+    }
+    return payload.result;
+  }
+
+  return {
+    async get(key) {
+      const value = await command('GET', key);
+      return value == null ? null : JSON.parse(value);
+    },
+
+    async set(key, value) {
+      await command('SET', key, JSON.stringify(value));
+    },
+
+    async delete(key) {
+      await command('DEL', key);
+    },
+
+    async increment(key, ttlMs) {
+      const count = await command('INCR', key);
+      if (count === 1) {
+        await command('PEXPIRE', key, ttlMs);
+      }
+      return count;
+    },
+
+    async keys(prefix = '') {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [nextCursor, batch] = await command('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 500);
+        cursor = String(nextCursor);
+        keys.push(...batch);
+      } while (cursor !== '0');
+      return keys;
+    }
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * In-memory key-value store.
+ * Used as the local stand-in for the KV adapter and whenever no persistent backend is configured.
+ * Data does not survive a restart.
+ * @returns {import('./index.js').KeyValueStore}
+ */
+export function createMemoryStore() {
+  const data = new Map();
+  // Expiry times of counters, which are dropped on their next increment or listing
+  const expiries = new Map();
+
+  const isExpired = (key) => expiries.has(key) && expiries.get(key) <= Date.now();
+
+  return {
+    async get(key) {
+      return data.has(key) ? structuredClone(data.get(key)) : null;
+    },
+
+    async set(key, value) {
+      data.set(key, structuredClone(value));
+    },
+
+    async delete(key) {
+      data.delete(key);
+      expiries.delete(key);
+    },
+
+    async increment(key, ttlMs) {
+      if (!data.has(key) || isExpired(key)) {
+        data.set(key, 0);
+        expiries.set(key, Date.now() + ttlMs);
+      }
+      data.set(key, data.get(key) + 1);
+      return data.get(key);
+    },
+
+    async keys(prefix = '') {
+      for (const key of expiries.keys()) {
+        if (isExpired(key)) {
+          data.delete(key);
+          expiries.delete(key);
+        }
+      }
+      return [...data.keys()].filter(key => key.startsWith(prefix));
+    }
+  };
+}
@@ -50,6 +50,66 @@ export function verifyOAuthHmac(query, secret) {
   return verifyHmac(sortedParams, hmac, secret);
 }
 
+/**
+ * Verify the signature Shopify adds to App Proxy requests
+ * @param {Object} query - Query parameters of the proxied request
+ * @param {string} secret - App secret key
+ * @returns {boolean} - True if signature is valid
+ */
+export function verifyAppProxySignature(query, secret) {
+  const { signature, ...params } = query;
+
+  if (typeof signature !== 'string' || !secret) {
+    return false;
+  }
+
+  // Unlike OAuth, proxy params are joined without separators and multi-value params use commas
+  const message = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${[].concat(params[key]).join(',')}`)
+    .join('');
+
+  const computedSignature = crypto.createHmac('sha256', secret).update(message).digest('hex');
+
+  return signature.length === computedSignature.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(computedSignature));
+}
+
+/**
+ * Express middleware rejecting App Proxy requests without a valid signature
+ * @param {string} secret - App secret key
+ * @returns {import('express').RequestHandler}
+ */
+export function validateAppProxyRequest(secret) {
+  return (req, res, next) => {
+    if (!verifyAppProxySignature(req.query, secret)) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware rejecting webhooks without a valid HMAC and parsing their JSON body.
+ * Must run after `express.raw()`, since the signature covers the raw bytes.
+ * @param {string} secret - App secret key
+ * @returns {import('express').RequestHandler}
+ */
+export function validateWebhookRequest(secret) {
+  return (req, res, next) => {
+    if (!Buffer.isBuffer(req.body) || !verifyHmac(req.body, req.get('x-shopify-hmac-sha256'), secret)) {
+      return res.status(401).send('Invalid signature');
+    }
+
+    try {
+      req.body = JSON.parse(req.body.toString('utf8'));
+    } catch (error) {
+      return res.status(400).send('Invalid JSON');
+    }
+    next();
+  };
+}
+
 /**
  * Generate a secure session secret
  * @returns {string} - Random session secret
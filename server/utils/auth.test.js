@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { validateAppProxyRequest, validateWebhookRequest, verifyAppProxySignature, verifyHmac } from './auth.js';
+
+// Example request from Shopify's App Proxy documentation, signed with the secret `hush`
+const PROXY_QUERY = {
+  extra: ['1', '2'],
+  shop: 'shop-name.myshopify.com',
+  path_prefix: '/apps/awesome_reviews',
+  timestamp: '1317327555',
+  signature: 'a9718877bea71c2484f91608a7eaea1532bdf71f5c56825065fa4ccabe549ef3'
+};
+
+/**
+ * Run a middleware, resolving with the status it answered, or `next`
+ */
+function run(middleware, req) {
+  req.get ||= (name) => req.headers?.[name];
+  return new Promise((resolve) => {
+    const res = {
+      status: (code) => ({ json: () => resolve(code), send: () => resolve(code) })
+    };
+    middleware(req, res, () => resolve('next'));
+  });
+}
+
+test('verifyAppProxySignature accepts requests signed by Shopify', () => {
+  assert.equal(verifyAppProxySignature(PROXY_QUERY, 'hush'), true);
+});
+
+test('verifyAppProxySignature rejects tampered, unsigned or wrongly signed requests', () => {
+  assert.equal(verifyAppProxySignature({ ...PROXY_QUERY, shop: 'other.myshopify.com' }, 'hush'), false);
+  assert.equal(verifyAppProxySignature({ ...PROXY_QUERY, logged_in_customer_id: '1' }, 'hush'), false);
+  assert.equal(verifyAppProxySignature({ ...PROXY_QUERY, signature: undefined }, 'hush'), false);
+  assert.equal(verifyAppProxySignature({ ...PROXY_QUERY, signature: ['a', 'b'] }, 'hush'), false);
+  assert.equal(verifyAppProxySignature({ ...PROXY_QUERY, signature: 'abc' }, 'hush'), false);
+  assert.equal(verifyAppProxySignature(PROXY_QUERY, 'other secret'), false);
+  assert.equal(verifyAppProxySignature(PROXY_QUERY, ''), false);
+});
+
+test('validateAppProxyRequest only lets signed requests through', async () => {
+  const middleware = validateAppProxyRequest('hush');
+  assert.equal(await run(middleware, { query: PROXY_QUERY }), 'next');
+  assert.equal(await run(middleware, { query: { ...PROXY_QUERY, timestamp: '1' } }), 401);
+});
+
+const webhookRequest = (body, secret = 'hush') => ({
+  body: Buffer.from(body),
+  headers: { 'x-shopify-hmac-sha256': crypto.createHmac('sha256', secret).update(body).digest('base64') }
+});
+
+test('verifyHmac checks base64 signatures of the raw body', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const signature = crypto.createHmac('sha256', 'hush').update('{"a":1}').digest('base64');
+
+  assert.equal(verifyHmac('{"a":1}', signature, 'hush'), true);
+  assert.equal(verifyHmac('{"a":2}', signature, 'hush'), false);
+  assert.equal(verifyHmac('{"a":1}', signature, 'other secret'), false);
+  assert.equal(verifyHmac('{"a":1}', 'c2hvcnQ=', 'hush'), false);
+  assert.equal(verifyHmac('{"a":1}', undefined, 'hush'), false);
+});
+
+test('validateWebhookRequest parses signed webhooks and rejects the rest', async () => {
+  const middleware = validateWebhookRequest('hush');
+
+  const req = webhookRequest('{"shop_domain":"a.myshopify.com"}');
+  assert.equal(await run(middleware, req), 'next');
+  assert.deepEqual(req.body, { shop_domain: 'a.myshopify.com' });
+
+  assert.equal(await run(middleware, webhookRequest('{"shop_domain":"a.myshopify.com"}', 'other secret')), 401);
+  assert.equal(await run(middleware, { ...webhookRequest('{}'), body: Buffer.from('{"changed":1}') }), 401);
+  assert.equal(await run(middleware, { ...webhookRequest('{}'), body: {} }), 401);
+  assert.equal(await run(middleware, webhookRequest('not json')), 400);
+});
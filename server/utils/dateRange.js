@@ -0,0 +1,53 @@
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * UTC day of a date, as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+export const dayOf = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * List UTC days (YYYY-MM-DD) from `from` to `to`, inclusive
+ * @param {string} from - First day
+ * @param {string} to - Last day
+ * @returns {string[]}
+ */
+export function daysBetween(from, to) {
+  const days = [];
+  for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) {
+    days.push(dayOf(new Date(time)));
+  }
+  return days;
+}
+
+/**
+ * Parse a day range from query parameters.
+ * Defaults to the last 30 days when no range is given.
+ * @param {Object} query - Request query (`from`, `to`)
+ * @param {number} maxDays - Longest range allowed
+ * @returns {{ range?: { from: string, to: string }, error?: string }}
+ */
+export function parseDateRange(query, maxDays) {
+  const isDay = (value) => typeof value === 'string' && DAY.test(value) && !Number.isNaN(Date.parse(value));
+
+  // Checked before the default start date is derived from it
+  const to = query.to || dayOf(new Date());
+  if (!isDay(to)) {
+    return { error: 'Dates must use the YYYY-MM-DD format' };
+  }
+  const from = query.from || dayOf(new Date(Date.parse(to) - 29 * DAY_MS));
+  if (!isDay(from)) {
+    return { error: 'Dates must use the YYYY-MM-DD format' };
+  }
+  if (from > to) {
+    return { error: 'Start date must be before end date' };
+  }
+  if ((Date.parse(to) - Date.parse(from)) / DAY_MS >= maxDays) {
+    return { error: `Date range can span at most ${maxDays} days` };
+  }
+
+  return { range: { from, to } };
+}
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { daysBetween, parseDateRange } from './dateRange.js';
+
+const FORMAT_ERROR = { error: 'Dates must use the YYYY-MM-DD format' };
+
+test('parseDateRange defaults to the 30 days up to `to`, or today', () => {
+  assert.deepEqual(parseDateRange({ to: '2026-03-01' }, 366), { range: { from: '2026-01-31', to: '2026-03-01' } });
+
+  const { range } = parseDateRange({}, 366);
+  assert.equal(range.to, new Date().toISOString().slice(0, 10));
+  assert.equal(daysBetween(range.from, range.to).length, 30);
+});
+
+test('parseDateRange rejects malformed dates', () => {
+  assert.deepEqual(parseDateRange({ to: 'abc' }, 366), FORMAT_ERROR);
+  assert.deepEqual(parseDateRange({ from: 'abc' }, 366), FORMAT_ERROR);
+  assert.deepEqual(parseDateRange({ from: '2026-01-01', to: '2026-13-45' }, 366), FORMAT_ERROR);
+  assert.deepEqual(parseDateRange({ to: '2026-1-1' }, 366), FORMAT_ERROR);
+  // Repeated query parameters arrive as arrays
+  assert.deepEqual(parseDateRange({ to: ['2026-01-01', '2026-01-02'] }, 366), FORMAT_ERROR);
+});
+
+test('parseDateRange rejects reversed and overlong ranges', () => {
+  assert.deepEqual(parseDateRange({ from: '2026-02-01', to: '2026-01-01' }, 366), { error: 'Start date must be before end date' });
+  assert.deepEqual(parseDateRange({ from: '2025-01-01', to: '2026-01-01' }, 366), { range: { from: '2025-01-01', to: '2026-01-01' } });
+  assert.deepEqual(parseDateRange({ from: '2024-01-01', to: '2026-01-01' }, 366), { error: 'Date range can span at most 366 days' });
+});
+
+test('daysBetween lists each day inclusively', () => {
+  assert.deepEqual(daysBetween('2026-02-27', '2026-03-01'), ['2026-02-27', '2026-02-28', '2026-03-01']);
+});
@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * Derive a 256-bit key from an app secret, so any secret length works
+ * @param {string} secret - Secret such as SESSION_SECRET
+ * @returns {Buffer}
+ */
+export function deriveKey(secret) {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, '', 'privacy-popup encryption', 32));
+}
+
+/**
+ * Encrypt text with AES-256-GCM
+ * @param {string} text - Plain text
+ * @param {Buffer} key - Key from `deriveKey`
+ * @returns {string} - `v1:<iv>:<auth tag>:<ciphertext>`, base64 encoded
+ */
+export function encrypt(text, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+}
+
+/**
+ * Decrypt text produced by `encrypt`
+ * @param {string} payload - Encrypted text
+ * @param {Buffer} key - Key from `deriveKey`
+ * @returns {string|null} - Plain text, or null when the payload was tampered with or the key changed
+ */
+export function decrypt(payload, key) {
+  const [version, iv, authTag, ciphertext] = String(payload).split(':');
+  if (version !== VERSION || !ciphertext) {
+    return null;
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    return null;
+  }
+}
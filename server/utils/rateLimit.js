@@ -0,0 +1,32 @@
+/**
+ * Fixed-window rate limiting middleware.
+ * Counts are kept in the app's store, so every server instance shares the same limit.
+ * @param {Object} options
+ * @param {import('../storage/index.js').KeyValueStore} options.store - Storage backend holding the counts
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {(req: import('express').Request) => string} options.key - Derives the rate-limit key from a request
+ * @returns {import('express').RequestHandler}
+ */
+export function rateLimit({ store, windowMs, max, key }) {
+  return async (req, res, next) => {
+    const now = Date.now();
+    const window = Math.floor(now / windowMs);
+
+    let count;
+    try {
+      count = await store.increment(`rate-limit:${key(req)}:${window}`, windowMs);
+    } catch (error) {
+      // Storefront requests go through when the store is unavailable rather than failing for every visitor
+      console.error('Error counting request for rate limiting:', error);
+      return next();
+    }
+
+    if (count > max) {
+      res.set('Retry-After', String(Math.ceil(((window + 1) * windowMs - now) / 1000)));
+      return res.status(429).json({ error: 'Too many requests' });
+    }
+
+    next();
+  };
+}
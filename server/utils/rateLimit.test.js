@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rateLimit } from './rateLimit.js';
+import { createMemoryStore } from '../storage/memoryStore.js';
+
+/**
+ * Run the middleware for a request from `ip`, resolving with the status it answered, or `next`
+ */
+function send(middleware, ip) {
+  return new Promise((resolve) => {
+    const res = {
+      headers: {},
+      set(name, value) { this.headers[name] = value; },
+      status(code) { return { json: () => resolve({ status: code, headers: res.headers }) }; }
+    };
+    middleware({ ip }, res, () => resolve({ status: 'next' }));
+  });
+}
+
+test('rateLimit answers 429 past the limit, per key', async () => {
+  const store = createMemoryStore();
+  const limit = rateLimit({ store, windowMs: 60 * 1000, max: 2, key: req => req.ip });
+
+  assert.equal((await send(limit, '1.1.1.1')).status, 'next');
+  assert.equal((await send(limit, '1.1.1.1')).status, 'next');
+  const limited = await send(limit, '1.1.1.1');
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers['Retry-After']) <= 60);
+  assert.equal((await send(limit, '2.2.2.2')).status, 'next');
+});
+
+test('rateLimit counts in the shared store, across middleware instances', async () => {
+  const store = createMemoryStore();
+  const options = { store, windowMs: 60 * 1000, max: 1, key: req => req.ip };
+
+  assert.equal((await send(rateLimit(options), '1.1.1.1')).status, 'next');
+  assert.equal((await send(rateLimit(options), '1.1.1.1')).status, 429);
+});
+
+test('rateLimit lets requests through when the store fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const store = { increment: async () => { throw new Error('unavailable'); } };
+  const limit = rateLimit({ store, windowMs: 1000, max: 1, key: req => req.ip });
+
+  assert.equal((await send(limit, '1.1.1.1')).status, 'next');
+});
+
+test('memory store counters start over once expired', async () => {
+  const store = createMemoryStore();
+  assert.equal(await store.increment('counter', 20), 1);
+  assert.equal(await store.increment('counter', 20), 2);
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(await store.increment('counter', 20), 1);
+});
@@ -0,0 +1,82 @@
+/**
+ * Handlers for the webhooks registered in `shopify.app.toml`, keyed by topic.
+ * Each receives the shop domain and the parsed, HMAC-verified payload.
+ * @param {Object} services
+ * @param {ReturnType<import('../settings/index.js').createSettingsService>} services.settingsService
+ * @param {ReturnType<import('../consent/index.js').createConsentLog>} services.consentLog
+ * @param {ReturnType<import('../analytics/index.js').createConsentAnalytics>} services.consentAnalytics
+ * @param {ReturnType<import('../privacy/index.js').createDataRequests>} services.dataRequests
+ * @param {ReturnType<import('../sessions/index.js').createSessionStorage>} services.sessionStorage
+ * @param {ReturnType<import('../billing/index.js').createBilling>} services.billing
+ * @param {ReturnType<import('../scanner/index.js').createCookieScanner>} services.cookieScanner
+ * @param {(shop: string) => Promise<boolean>} services.syncStorefront - Push the shop's settings and plan to the theme block
+ * @returns {Object<string, (shop: string, payload: Object) => Promise<void>>}
+ */
+export function createWebhookHandlers({ settingsService, consentLog, consentAnalytics, dataRequests, sessionStorage, billing, cookieScanner, syncStorefront }) {
+  const deleteShopData = async (shop) => {
+    await Promise.all([
+      settingsService.delete(shop),
+      consentLog.deleteShop(shop),
+      consentAnalytics.deleteShop(shop),
+      dataRequests.deleteShop(shop),
+      sessionStorage.deleteShop(shop),
+      billing.deleteShop(shop),
+      cookieScanner.deleteShop(shop)
+    ]);
+    console.log(`Deleted all data for shop: ${shop}`);
+  };
+
+  return {
+    'app/uninstalled': deleteShopData,
+
+    // Sent 48 hours after uninstalling, in case the uninstall webhook was missed
+    'shop/redact': deleteShopData,
+
+    'customers/redact': async (shop, payload) => {
+      const [deleted] = await Promise.all([
+        consentLog.redactCustomer(shop, payload.customer.id),
+        dataRequests.deleteCustomer(shop, payload.customer.id)
+      ]);
+      console.log(`Deleted ${deleted} consent records of customer ${payload.customer.id} for shop: ${shop}`);
+    },
+
+    'customers/data_request': async (shop, payload) => {
+      const request = await dataRequests.create(shop, payload);
+      console.log(`Exported ${request.record_count} consent records of customer ${payload.customer.id} for shop: ${shop}`);
+    },
+
+    // Sent when a subscription is approved, cancelled, frozen or ends. The plan is
+    // re-read from Shopify rather than taken from the payload.
+    'app_subscriptions/update': async (shop) => {
+      const { plan } = await billing.refresh(shop);
+      await syncStorefront(shop);
+      console.log(`Shop ${shop} is now on the ${plan.id} plan`);
+    }
+  };
+}
+
+/**
+ * Express handler running a webhook handler for a verified request.
+ * The shop is read from the signed payload rather than the unsigned shop header,
+ * except for topics whose payload has no shop domain, whose handlers re-read
+ * anything they act on from Shopify.
+ * @param {(shop: string, payload: Object) => Promise<void>} handler
+ * @returns {import('express').RequestHandler}
+ */
+export function handleWebhook(handler) {
+  return async (req, res) => {
+    const shop = req.body.shop_domain || req.body.myshopify_domain || req.get('x-shopify-shop-domain');
+    if (!shop) {
+      return res.status(400).send('Missing shop domain');
+    }
+
+    try {
+      await handler(shop, req.body);
+      res.status(200).send('OK');
+    } catch (error) {
+      // Shopify retries failed deliveries
+      console.error(`Error handling ${req.get('x-shopify-topic')} webhook for shop ${shop}:`, error);
+      res.status(500).send('Error');
+    }
+  };
+}
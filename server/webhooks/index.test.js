@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWebhookHandlers, handleWebhook } from './index.js';
+import { createSettingsService } from '../settings/index.js';
+import { createConsentLog } from '../consent/index.js';
+import { createConsentAnalytics } from '../analytics/index.js';
+import { createDataRequests } from '../privacy/index.js';
+import { createSessionStorage } from '../sessions/index.js';
+import { createBilling } from '../billing/index.js';
+import { createCookieScanner } from '../scanner/index.js';
+import { createMemoryStore } from '../storage/memoryStore.js';
+
+const SHOP = 'a.myshopify.com';
+const OTHER_SHOP = 'b.myshopify.com';
+
+/**
+ * Webhook handlers over real services sharing one memory store
+ */
+function setup(t) {
+  t.mock.method(console, 'log', () => {});
+  const store = createMemoryStore();
+  const sessionStorage = createSessionStorage(store, { secret: 'secret' });
+  const consentLog = createConsentLog(store);
+  const services = {
+    settingsService: createSettingsService(store),
+    consentLog,
+    consentAnalytics: createConsentAnalytics(store),
+    dataRequests: createDataRequests(store, consentLog),
+    sessionStorage,
+    billing: createBilling(store, { sessionStorage, apiKey: 'key' }),
+    cookieScanner: createCookieScanner(store),
+    syncStorefront: async () => true
+  };
+  return { store, services, handlers: createWebhookHandlers(services) };
+}
+
+const decision = (visitorId) => ({
+  visitor_id: visitorId,
+  decision: 'accepted',
+  categories: { necessary: true, analytics: true, marketing: true, preferences: true },
+  timestamp: new Date().toISOString()
+});
+
+test('customers/data_request exports the customer records, including those from the same browser', async (t) => {
+  const { services, handlers } = setup(t);
+  await services.consentLog.record(SHOP, decision('visitor-customer'), { customerId: 7 });
+  await services.consentLog.record(SHOP, decision('visitor-customer'));
+  await services.consentLog.record(SHOP, decision('visitor-stranger'));
+
+  await handlers['customers/data_request'](SHOP, { customer: { id: 7, email: 'c@example.com' }, data_request: { id: 99 } });
+
+  const request = await services.dataRequests.get(SHOP, '99');
+  assert.equal(request.customer.email, 'c@example.com');
+  assert.deepEqual(request.records.map(record => record.visitor_id), ['visitor-customer', 'visitor-customer']);
+});
+
+test('customers/redact deletes the customer records and exports only', async (t) => {
+  const { services, handlers } = setup(t);
+  await services.consentLog.record(SHOP, decision('visitor-customer'), { customerId: 7 });
+  await services.consentLog.record(SHOP, decision('visitor-customer'));
+  await services.consentLog.record(SHOP, decision('visitor-stranger'));
+  await services.consentLog.record(OTHER_SHOP, decision('visitor-customer'), { customerId: 7 });
+  await handlers['customers/data_request'](SHOP, { customer: { id: 7 }, data_request: { id: 99 } });
+
+  await handlers['customers/redact'](SHOP, { customer: { id: 7 } });
+
+  assert.deepEqual(await services.consentLog.findCustomerRecords(SHOP, 7), []);
+  assert.equal(await services.dataRequests.get(SHOP, '99'), null);
+  const today = new Date().toISOString().slice(0, 10);
+  const remaining = await services.consentLog.search(SHOP, { from: today, to: today });
+  assert.deepEqual(remaining.map(record => record.visitor_id), ['visitor-stranger']);
+  assert.equal((await services.consentLog.findCustomerRecords(OTHER_SHOP, 7)).length, 1);
+});
+
+test('shop/redact deletes everything stored for the shop', async (t) => {
+  const { store, services, handlers } = setup(t);
+  for (const shop of [SHOP, OTHER_SHOP]) {
+    await services.settingsService.save(shop, { popup_title: 'Cookies' });
+    await services.consentLog.record(shop, decision('visitor-1'));
+    await services.consentAnalytics.record(shop, { event: 'impression', device: 'mobile' });
+  }
+
+  assert.equal((await store.keys()).filter(key => key.includes(SHOP)).length, 3);
+
+  await handlers['shop/redact'](SHOP, { shop_domain: SHOP });
+
+  const keys = await store.keys();
+  assert.deepEqual(keys.filter(key => key.includes(SHOP)), []);
+  assert.ok(keys.some(key => key.includes(OTHER_SHOP)));
+});
+
+test('handleWebhook takes the shop from the signed payload and reports handler failures', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const send = (handler, body, headers = {}) => new Promise((resolve) => {
+    const req = { body, get: name => headers[name] };
+    const res = { status: code => ({ send: () => resolve(code) }) };
+    handleWebhook(handler)(req, res);
+  });
+
+  let handledShop;
+  assert.equal(await send(async (shop) => { handledShop = shop; }, { shop_domain: SHOP }, { 'x-shopify-shop-domain': OTHER_SHOP }), 200);
+  assert.equal(handledShop, SHOP);
+  assert.equal(await send(async () => {}, {}), 400);
+  assert.equal(await send(async () => { throw new Error('down'); }, { shop_domain: SHOP }), 500);
+});
@@ -2,6 +2,12 @@ import React from 'react';
 import { Routes, Route } from 'react-router-dom';
 import { HomePage } from '../pages/HomePage';
 import { SettingsPage } from '../pages/SettingsPage';
+import { ConsentLogPage } from '../pages/ConsentLogPage';
+import { AnalyticsPage } from '../pages/AnalyticsPage';
+import { AbTestPage } from '../pages/AbTestPage';
+import { ExitIframePage } from '../pages/ExitIframePage';
+import { PlansPage } from '../pages/PlansPage';
+import { CookieScanPage } from '../pages/CookieScanPage';
 
 /**
  * Application routing component
@@ -11,6 +17,12 @@ export function AppRoutes() {
     <Routes>
       <Route path="/" element={<HomePage />} />
       <Route path="/settings" element={<SettingsPage />} />
+      <Route path="/consent-log" element={<ConsentLogPage />} />
+      <Route path="/analytics" element={<AnalyticsPage />} />
+      <Route path="/ab-test" element={<AbTestPage />} />
+      <Route path="/plans" element={<PlansPage />} />
+      <Route path="/cookie-scan" element={<CookieScanPage />} />
+      <Route path="/exitiframe" element={<ExitIframePage />} />
     </Routes>
   );
 }
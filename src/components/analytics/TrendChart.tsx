@@ -0,0 +1,82 @@
+import { InlineStack, Text } from '@shopify/polaris';
+
+export interface TrendSeries {
+  label: string;
+  color: string;
+  values: number[];
+}
+
+interface TrendChartProps {
+  labels: string[];
+  series: TrendSeries[];
+  /** Highest value on the y axis; defaults to the largest value in the series */
+  max?: number;
+  formatValue?: (value: number) => string;
+}
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 44 };
+
+/**
+ * Line chart of daily values, drawn as an SVG that scales to its container
+ */
+export function TrendChart({ labels, series, max, formatValue = String }: TrendChartProps) {
+  const top = max ?? Math.max(1, ...series.flatMap((line) => line.values));
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (index: number) => PADDING.left + (labels.length > 1 ? (index / (labels.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value: number) => PADDING.top + plotHeight - (value / top) * plotHeight;
+
+  // First, middle and last day, so labels never overlap
+  const labelIndexes = [...new Set([0, Math.floor((labels.length - 1) / 2), labels.length - 1])];
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        width="100%"
+        role="img"
+        aria-label={series.map((line) => line.label).join(', ')}
+      >
+        {[0, 0.5, 1].map((fraction) => (
+          <g key={fraction}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(top * fraction)}
+              y2={y(top * fraction)}
+              stroke="#e1e3e5"
+            />
+            <text x={PADDING.left - 6} y={y(top * fraction) + 4} textAnchor="end" fontSize="11" fill="#6d7175">
+              {formatValue(top * fraction)}
+            </text>
+          </g>
+        ))}
+        {labelIndexes.map((index) => (
+          <text key={index} x={x(index)} y={HEIGHT - 6} textAnchor="middle" fontSize="11" fill="#6d7175">
+            {labels[index]}
+          </text>
+        ))}
+        {series.map((line) => (
+          <polyline
+            key={line.label}
+            fill="none"
+            stroke={line.color}
+            strokeWidth="2"
+            points={line.values.map((value, index) => `${x(index)},${y(value)}`).join(' ')}
+          />
+        ))}
+      </svg>
+      <InlineStack gap="400">
+        {series.map((line) => (
+          <InlineStack key={line.label} gap="100" blockAlign="center">
+            <span style={{ width: '12px', height: '3px', background: line.color, display: 'inline-block' }} />
+            <Text variant="bodySm" as="span">{line.label}</Text>
+          </InlineStack>
+        ))}
+      </InlineStack>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import { Banner } from '@shopify/polaris';
+import { useNavigate } from 'react-router-dom';
+import type { PlanFeature } from '../../types/billing';
+
+export const FEATURE_NAMES: Record<PlanFeature, string> = {
+  consent_categories: 'Consent categories',
+  geo_rules: 'Geo rules',
+  translations: 'Translations',
+  analytics: 'Analytics',
+  consent_log: 'Consent log',
+  ab_testing: 'A/B testing',
+};
+
+interface UpgradeBannerProps {
+  feature: PlanFeature;
+  /** What happens on the storefront until the merchant upgrades */
+  children?: React.ReactNode;
+}
+
+/**
+ * Banner shown in place of, or above, a feature the shop's plan doesn't include
+ */
+export function UpgradeBanner({ feature, children }: UpgradeBannerProps) {
+  const navigate = useNavigate();
+
+  return (
+    <Banner
+      title={`${FEATURE_NAMES[feature]} is not included in your plan`}
+      tone="warning"
+      action={{ content: 'View plans', onAction: () => navigate('/plans') }}
+    >
+      <p>{children || 'Upgrade your plan to use this feature.'}</p>
+    </Banner>
+  );
+}
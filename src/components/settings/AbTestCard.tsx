@@ -0,0 +1,178 @@
+import {
+  Button,
+  Card,
+  Checkbox,
+  FormLayout,
+  InlineError,
+  InlineStack,
+  Select,
+  Text,
+  TextField,
+} from '@shopify/polaris';
+import { useNavigate } from 'react-router-dom';
+import type { AbVariant, PopupSettings, SettingsErrors, VariantOverrides } from '../../types/settings';
+
+interface AbTestCardProps {
+  settings: PopupSettings;
+  errors: SettingsErrors;
+  onFieldChange: (field: keyof PopupSettings, value: PopupSettings[keyof PopupSettings]) => void;
+}
+
+const MAX_VARIANTS = 3;
+
+const VARIANT_IDS = ['b', 'c', 'd', 'e', 'f'];
+
+const SAME_AS_CONTROL = '';
+
+const positionOptions = [
+  { label: 'Same as control', value: SAME_AS_CONTROL },
+  { label: 'Bottom', value: 'bottom' },
+  { label: 'Top', value: 'top' },
+  { label: 'Center', value: 'center' },
+];
+
+const declineOptions = [
+  { label: 'Same as control', value: SAME_AS_CONTROL },
+  { label: 'Show', value: 'true' },
+  { label: 'Hide', value: 'false' },
+];
+
+type CopyField = 'popup_title' | 'popup_text' | 'accept_text' | 'decline_text';
+
+/**
+ * Settings card for testing popup variants against the current popup
+ */
+export function AbTestCard({ settings, errors, onFieldChange }: AbTestCardProps) {
+  const navigate = useNavigate();
+  const variants = settings.ab_variants;
+  const controlWeight = 100 - variants.reduce((total, variant) => total + variant.weight, 0);
+
+  const updateVariant = (index: number, changes: Partial<AbVariant>) => {
+    onFieldChange(
+      'ab_variants',
+      variants.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)),
+    );
+  };
+
+  // Blank fields are left out, so the variant keeps the control's value
+  const updateOverride = <K extends keyof VariantOverrides>(index: number, field: K, value: VariantOverrides[K] | undefined) => {
+    const { [field]: _previous, ...overrides } = variants[index].overrides;
+    updateVariant(index, { overrides: value === undefined || value === '' ? overrides : { ...overrides, [field]: value } });
+  };
+
+  const handleAddVariant = () => {
+    const id = VARIANT_IDS.find((candidate) => !variants.some((variant) => variant.id === candidate)) as string;
+    onFieldChange('ab_variants', [
+      ...variants,
+      { id, name: `Variant ${id.toUpperCase()}`, weight: Math.max(0, Math.min(50, controlWeight)), overrides: {} },
+    ]);
+  };
+
+  const handleRemoveVariant = (index: number) => {
+    onFieldChange('ab_variants', variants.filter((_, i) => i !== index));
+  };
+
+  const renderCopyField = (index: number, field: CopyField, label: string, multiline?: number) => (
+    <TextField
+      label={label}
+      value={variants[index].overrides[field] ?? ''}
+      placeholder={settings[field]}
+      onChange={(value) => updateOverride(index, field, value)}
+      error={errors[`ab_variants.${index}.overrides.${field}`]}
+      multiline={multiline}
+      autoComplete="off"
+    />
+  );
+
+  return (
+    <Card>
+      <div style={{ padding: '20px' }}>
+        <Text variant="headingMd" as="h2">A/B Test</Text>
+        <div style={{ marginTop: '16px' }}>
+          <FormLayout>
+            <Text variant="bodyMd" as="p" tone="subdued">
+              Show variants of the popup to a share of visitors and compare their accept rates.
+              Each visitor keeps seeing the same variant. Fields left blank keep the control popup's value.
+            </Text>
+
+            <Checkbox
+              label="Run an A/B test"
+              checked={settings.ab_test_enabled}
+              onChange={(value) => onFieldChange('ab_test_enabled', value)}
+            />
+
+            {settings.ab_test_enabled && (
+              <>
+                <Text variant="bodyMd" as="p">
+                  Control (current popup): {Math.max(0, controlWeight)}% of visitors
+                </Text>
+                {errors.ab_variants && (
+                  <InlineError message={errors.ab_variants as string} fieldID="ab_variants" />
+                )}
+
+                {variants.map((variant, index) => (
+                  <FormLayout key={variant.id}>
+                    <FormLayout.Group condensed>
+                      <TextField
+                        label="Variant name"
+                        value={variant.name}
+                        onChange={(value) => updateVariant(index, { name: value })}
+                        error={errors[`ab_variants.${index}.name`]}
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="Visitors"
+                        type="number"
+                        suffix="%"
+                        min={0}
+                        max={100}
+                        value={String(variant.weight)}
+                        onChange={(value) => updateVariant(index, { weight: Number(value) })}
+                        error={errors[`ab_variants.${index}.weight`]}
+                        autoComplete="off"
+                      />
+                      <Button variant="plain" tone="critical" onClick={() => handleRemoveVariant(index)}>
+                        Remove
+                      </Button>
+                    </FormLayout.Group>
+                    {renderCopyField(index, 'popup_title', 'Popup title')}
+                    {renderCopyField(index, 'popup_text', 'Popup text', 3)}
+                    <FormLayout.Group>
+                      {renderCopyField(index, 'accept_text', 'Accept button text')}
+                      {renderCopyField(index, 'decline_text', 'Decline button text')}
+                    </FormLayout.Group>
+                    <FormLayout.Group>
+                      <Select
+                        label="Decline button"
+                        options={declineOptions}
+                        value={variant.overrides.show_decline === undefined ? SAME_AS_CONTROL : String(variant.overrides.show_decline)}
+                        onChange={(value) => updateOverride(index, 'show_decline', value === SAME_AS_CONTROL ? undefined : value === 'true')}
+                        error={errors[`ab_variants.${index}.overrides.show_decline`]}
+                      />
+                      <Select
+                        label="Position"
+                        options={positionOptions}
+                        value={variant.overrides.position ?? SAME_AS_CONTROL}
+                        onChange={(value) => updateOverride(index, 'position', value)}
+                        error={errors[`ab_variants.${index}.overrides.position`]}
+                      />
+                    </FormLayout.Group>
+                  </FormLayout>
+                ))}
+
+                <InlineStack gap="200">
+                  <Button onClick={handleAddVariant} disabled={variants.length >= MAX_VARIANTS}>
+                    Add variant
+                  </Button>
+                  <Button onClick={() => navigate('/ab-test')}>
+                    Compare results
+                  </Button>
+                </InlineStack>
+              </>
+            )}
+          </FormLayout>
+        </div>
+      </div>
+    </Card>
+  );
+}
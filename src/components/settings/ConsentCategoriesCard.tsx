@@ -0,0 +1,89 @@
+import {
+  Card,
+  Checkbox,
+  FormLayout,
+  Text,
+  TextField,
+} from '@shopify/polaris';
+import type { ConsentCategory, PopupSettings, SettingsErrors } from '../../types/settings';
+
+interface ConsentCategoriesCardProps {
+  settings: PopupSettings;
+  errors: SettingsErrors;
+  onFieldChange: (field: keyof PopupSettings, value: PopupSettings[keyof PopupSettings]) => void;
+}
+
+/**
+ * Settings card for the "Manage preferences" panel and its consent categories
+ */
+export function ConsentCategoriesCard({ settings, errors, onFieldChange }: ConsentCategoriesCardProps) {
+  const handleCategoryChange = (id: ConsentCategory['id'], field: 'name' | 'description', value: string) => {
+    onFieldChange(
+      'consent_categories',
+      settings.consent_categories.map((category) =>
+        category.id === id ? { ...category, [field]: value } : category
+      ),
+    );
+  };
+
+  return (
+    <Card>
+      <div style={{ padding: '20px' }}>
+        <Text variant="headingMd" as="h2">Consent Categories</Text>
+        <div style={{ marginTop: '16px' }}>
+          <FormLayout>
+            <Checkbox
+              label="Show manage preferences button"
+              helpText="Lets visitors choose which cookie categories to allow"
+              checked={settings.show_preferences}
+              onChange={(value) => onFieldChange('show_preferences', value)}
+            />
+
+            {settings.show_preferences && (
+              <TextField
+                label="Manage preferences button text"
+                value={settings.preferences_text}
+                onChange={(value) => onFieldChange('preferences_text', value)}
+                error={errors.preferences_text}
+                autoComplete="off"
+              />
+            )}
+
+            <Text variant="bodyMd" as="p" tone="subdued">
+              Visitors also see these categories when they reopen the popup to change their choices.
+            </Text>
+
+            <TextField
+              label="Save preferences button text"
+              value={settings.save_preferences_text}
+              onChange={(value) => onFieldChange('save_preferences_text', value)}
+              error={errors.save_preferences_text}
+              autoComplete="off"
+            />
+
+            {settings.consent_categories.map((category) => (
+              <FormLayout key={category.id}>
+                <TextField
+                  label={`${category.id.charAt(0).toUpperCase()}${category.id.slice(1)} category name`}
+                  value={category.name}
+                  onChange={(value) => handleCategoryChange(category.id, 'name', value)}
+                  error={errors[`consent_categories.${category.id}.name`]}
+                  helpText={category.id === 'necessary' ? 'Always enabled, visitors cannot turn this off' : undefined}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Description"
+                  value={category.description}
+                  onChange={(value) => handleCategoryChange(category.id, 'description', value)}
+                  error={errors[`consent_categories.${category.id}.description`]}
+                  multiline={2}
+                  autoComplete="off"
+                />
+              </FormLayout>
+            ))}
+          </FormLayout>
+        </div>
+      </div>
+    </Card>
+  );
+}
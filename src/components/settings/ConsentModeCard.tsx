@@ -0,0 +1,122 @@
+import {
+  Button,
+  Card,
+  Checkbox,
+  FormLayout,
+  Select,
+  Text,
+  TextField,
+} from '@shopify/polaris';
+import { RegionListField } from './RegionListField';
+import type {
+  ConsentModeRegionDefault,
+  ConsentModeState,
+  PopupSettings,
+  SettingsErrors,
+} from '../../types/settings';
+
+interface ConsentModeCardProps {
+  settings: PopupSettings;
+  errors: SettingsErrors;
+  onFieldChange: (field: keyof PopupSettings, value: PopupSettings[keyof PopupSettings]) => void;
+}
+
+const stateOptions = [
+  { label: 'Denied', value: 'denied' },
+  { label: 'Granted', value: 'granted' },
+];
+
+/**
+ * Settings card for Google Consent Mode v2 defaults
+ */
+export function ConsentModeCard({ settings, errors, onFieldChange }: ConsentModeCardProps) {
+  const regionDefaults = settings.consent_mode_region_defaults;
+
+  const updateEntry = (index: number, changes: Partial<ConsentModeRegionDefault>) => {
+    onFieldChange(
+      'consent_mode_region_defaults',
+      regionDefaults.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)),
+    );
+  };
+
+  const handleAddEntry = () => {
+    onFieldChange('consent_mode_region_defaults', [
+      ...regionDefaults,
+      { regions: [], analytics: 'granted', marketing: 'granted', preferences: 'granted' },
+    ]);
+  };
+
+  const handleRemoveEntry = (index: number) => {
+    onFieldChange(
+      'consent_mode_region_defaults',
+      regionDefaults.filter((_, i) => i !== index),
+    );
+  };
+
+  return (
+    <Card>
+      <div style={{ padding: '20px' }}>
+        <Text variant="headingMd" as="h2">Google Consent Mode</Text>
+        <div style={{ marginTop: '16px' }}>
+          <FormLayout>
+            <Checkbox
+              label="Enable Google Consent Mode v2"
+              helpText="Sets all Google consent types to denied before any tag fires, then updates them when the visitor decides"
+              checked={settings.consent_mode_enabled}
+              onChange={(value) => onFieldChange('consent_mode_enabled', value)}
+            />
+
+            {settings.consent_mode_enabled && (
+              <>
+                <TextField
+                  label="Wait for update (milliseconds)"
+                  type="number"
+                  value={String(settings.consent_mode_wait_for_update)}
+                  onChange={(value) => onFieldChange('consent_mode_wait_for_update', Number(value))}
+                  error={errors.consent_mode_wait_for_update}
+                  helpText="How long Google tags wait for the visitor's stored choice before sending data"
+                  min={0}
+                  max={10000}
+                  autoComplete="off"
+                />
+
+                <Text variant="headingSm" as="h3">Region defaults</Text>
+                <Text variant="bodyMd" as="p" tone="subdued">
+                  Override the denied defaults for regions that don't require prior consent.
+                </Text>
+
+                {regionDefaults.map((entry, index) => (
+                  <FormLayout key={index}>
+                    <RegionListField
+                      label="Regions"
+                      value={entry.regions}
+                      onChange={(regions) => updateEntry(index, { regions })}
+                      error={errors[`consent_mode_region_defaults.${index}.regions`]}
+                    />
+                    <FormLayout.Group condensed>
+                      {(['analytics', 'marketing', 'preferences'] as const).map((category) => (
+                        <Select
+                          key={category}
+                          label={`${category.charAt(0).toUpperCase()}${category.slice(1)}`}
+                          options={stateOptions}
+                          value={entry[category]}
+                          onChange={(value) => updateEntry(index, { [category]: value as ConsentModeState })}
+                          error={errors[`consent_mode_region_defaults.${index}.${category}`]}
+                        />
+                      ))}
+                    </FormLayout.Group>
+                    <Button variant="plain" tone="critical" onClick={() => handleRemoveEntry(index)}>
+                      Remove region default
+                    </Button>
+                  </FormLayout>
+                ))}
+
+                <Button onClick={handleAddEntry}>Add region default</Button>
+              </>
+            )}
+          </FormLayout>
+        </div>
+      </div>
+    </Card>
+  );
+}
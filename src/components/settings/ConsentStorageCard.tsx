@@ -0,0 +1,77 @@
+import {
+  Card,
+  FormLayout,
+  Select,
+  Text,
+  TextField,
+} from '@shopify/polaris';
+import type { PopupSettings, SettingsErrors } from '../../types/settings';
+
+interface ConsentStorageCardProps {
+  settings: PopupSettings;
+  errors: SettingsErrors;
+  onFieldChange: (field: keyof PopupSettings, value: PopupSettings[keyof PopupSettings]) => void;
+}
+
+const storageOptions = [
+  { label: 'Browser storage', value: 'local_storage' },
+  { label: 'Cookie', value: 'cookie' },
+  { label: 'Browser storage and cookie', value: 'both' },
+];
+
+const sameSiteOptions = [
+  { label: 'Lax (recommended)', value: 'Lax' },
+  { label: 'Strict', value: 'Strict' },
+  { label: 'None', value: 'None' },
+];
+
+/**
+ * Settings card for where the storefront keeps each visitor's consent
+ */
+export function ConsentStorageCard({ settings, errors, onFieldChange }: ConsentStorageCardProps) {
+  const usesCookie = settings.consent_storage !== 'local_storage';
+
+  return (
+    <Card>
+      <div style={{ padding: '20px' }}>
+        <Text variant="headingMd" as="h2">Consent Storage</Text>
+        <div style={{ marginTop: '16px' }}>
+          <FormLayout>
+            <Select
+              label="Store consent in"
+              options={storageOptions}
+              value={settings.consent_storage}
+              onChange={(value) => onFieldChange('consent_storage', value)}
+              error={errors.consent_storage}
+              helpText={usesCookie
+                ? 'The privacy_popup_consent cookie is sent to your servers and can be shared with your subdomains. It expires with the consent.'
+                : 'Only scripts on your storefront can read the visitor\'s choice.'}
+            />
+
+            {usesCookie && (
+              <FormLayout.Group>
+                <TextField
+                  label="Cookie domain"
+                  value={settings.cookie_domain}
+                  onChange={(value) => onFieldChange('cookie_domain', value.trim().toLowerCase())}
+                  error={errors.cookie_domain}
+                  placeholder="example.com"
+                  helpText="Share consent with every subdomain of this domain. Leave blank for the current domain only."
+                  autoComplete="off"
+                />
+                <Select
+                  label="SameSite"
+                  options={sameSiteOptions}
+                  value={settings.cookie_same_site}
+                  onChange={(value) => onFieldChange('cookie_same_site', value)}
+                  error={errors.cookie_same_site}
+                  helpText="None also marks the cookie Secure"
+                />
+              </FormLayout.Group>
+            )}
+          </FormLayout>
+        </div>
+      </div>
+    </Card>
+  );
+}
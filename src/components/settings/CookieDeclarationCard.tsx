@@ -0,0 +1,174 @@
+import { useState } from 'react';
+import {
+  Button,
+  Card,
+  FormLayout,
+  InlineStack,
+  Select,
+  Text,
+  TextField,
+} from '@shopify/polaris';
+import type { CookieScan } from '../../types/scan';
+import type { DeclaredCookie, PopupSettings, SettingsErrors } from '../../types/settings';
+
+interface CookieDeclarationCardProps {
+  settings: PopupSettings;
+  errors: SettingsErrors;
+  onFieldChange: (field: keyof PopupSettings, value: PopupSettings[keyof PopupSettings]) => void;
+}
+
+const categoryOptions = [
+  { label: 'Strictly necessary', value: 'necessary' },
+  { label: 'Analytics', value: 'analytics' },
+  { label: 'Marketing', value: 'marketing' },
+  { label: 'Preferences', value: 'preferences' },
+];
+
+/**
+ * Settings card for the cookies listed by the cookie declaration theme block
+ */
+export function CookieDeclarationCard({ settings, errors, onFieldChange }: CookieDeclarationCardProps) {
+  const [isImporting, setIsImporting] = useState(false);
+  const [importMessage, setImportMessage] = useState<string | null>(null);
+  const cookies = settings.cookie_declaration;
+
+  const updateEntry = (index: number, changes: Partial<DeclaredCookie>) => {
+    onFieldChange(
+      'cookie_declaration',
+      cookies.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)),
+    );
+  };
+
+  const handleRemoveEntry = (index: number) => {
+    onFieldChange(
+      'cookie_declaration',
+      cookies.filter((_, i) => i !== index),
+    );
+  };
+
+  // Add the recognized cookies from the latest scan that aren't listed yet
+  const handleImport = async () => {
+    setIsImporting(true);
+    setImportMessage(null);
+    try {
+      const response = await fetch('/api/cookie-scan');
+      const scan = (await response.json()) as CookieScan | null;
+      if (!response.ok || scan?.status !== 'completed') {
+        setImportMessage('Run a scan on the Cookie Scanner page first.');
+        return;
+      }
+
+      const found = scan.cookies || [];
+      const added: DeclaredCookie[] = found
+        .filter((cookie) => cookie.category && !cookies.some((entry) => entry.name === cookie.name))
+        .map((cookie) => ({
+          name: cookie.name,
+          provider: cookie.provider || '',
+          category: cookie.category!,
+          purpose: cookie.purpose || '',
+          duration: cookie.duration,
+        }));
+      const unrecognized = found.filter((cookie) => !cookie.category).length;
+
+      onFieldChange('cookie_declaration', [...cookies, ...added]);
+      setImportMessage(
+        `Added ${added.length} cookies from the scan.` +
+        (unrecognized ? ` ${unrecognized} cookies weren't recognized; add them by hand if you use them.` : ''),
+      );
+    } catch (err) {
+      console.error('Error importing cookie scan:', err);
+      setImportMessage('Could not load the latest cookie scan.');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <Card>
+      <div style={{ padding: '20px' }}>
+        <Text variant="headingMd" as="h2">Cookie Declaration</Text>
+        <div style={{ marginTop: '16px' }}>
+          <FormLayout>
+            <Text variant="bodyMd" as="p" tone="subdued">
+              These cookies are listed by the Cookie Declaration theme block, grouped by consent category,
+              together with the visitor's current choices and a button to change them. Add the block to
+              your cookie policy page, e.g. <code>/pages/cookie-policy</code>.
+            </Text>
+
+            {cookies.map((entry, index) => (
+              <div key={index} style={{ paddingBottom: '16px', borderBottom: '1px solid #e1e3e5' }}>
+                <FormLayout>
+                  <FormLayout.Group condensed>
+                    <TextField
+                      label="Cookie name"
+                      value={entry.name}
+                      onChange={(value) => updateEntry(index, { name: value })}
+                      error={errors[`cookie_declaration.${index}.name`]}
+                      placeholder="_ga"
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Provider"
+                      value={entry.provider}
+                      onChange={(value) => updateEntry(index, { provider: value })}
+                      error={errors[`cookie_declaration.${index}.provider`]}
+                      placeholder="Google Analytics"
+                      autoComplete="off"
+                    />
+                    <Select
+                      label="Category"
+                      options={categoryOptions}
+                      value={entry.category}
+                      onChange={(value) => updateEntry(index, { category: value as DeclaredCookie['category'] })}
+                      error={errors[`cookie_declaration.${index}.category`]}
+                    />
+                    <TextField
+                      label="Duration"
+                      value={entry.duration}
+                      onChange={(value) => updateEntry(index, { duration: value })}
+                      error={errors[`cookie_declaration.${index}.duration`]}
+                      placeholder="2 years"
+                      autoComplete="off"
+                    />
+                  </FormLayout.Group>
+                  <TextField
+                    label="Purpose"
+                    value={entry.purpose}
+                    onChange={(value) => updateEntry(index, { purpose: value })}
+                    error={errors[`cookie_declaration.${index}.purpose`]}
+                    maxLength={300}
+                    autoComplete="off"
+                  />
+                  <Button variant="plain" tone="critical" onClick={() => handleRemoveEntry(index)}>
+                    Remove
+                  </Button>
+                </FormLayout>
+              </div>
+            ))}
+
+            <InlineStack gap="200">
+              <Button
+                onClick={() => onFieldChange('cookie_declaration', [
+                  ...cookies,
+                  { name: '', provider: '', category: 'necessary', purpose: '', duration: '' },
+                ])}
+              >
+                Add cookie
+              </Button>
+              <Button loading={isImporting} onClick={handleImport}>
+                Add cookies from the latest scan
+              </Button>
+              <Button url="/api/theme-extension/add-declaration" external>
+                Add block to cookie policy page
+              </Button>
+            </InlineStack>
+
+            {importMessage && (
+              <Text variant="bodyMd" as="p" tone="subdued">{importMessage}</Text>
+            )}
+          </FormLayout>
+        </div>
+      </div>
+    </Card>
+  );
+}
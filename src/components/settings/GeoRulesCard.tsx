@@ -0,0 +1,123 @@
+import {
+  Card,
+  Checkbox,
+  ChoiceList,
+  FormLayout,
+  Select,
+  Text,
+  TextField,
+} from '@shopify/polaris';
+import { RegionListField } from './RegionListField';
+import type { GeoMode, GeoRegionGroup, PopupSettings, SettingsErrors } from '../../types/settings';
+
+interface GeoRulesCardProps {
+  settings: PopupSettings;
+  errors: SettingsErrors;
+  onFieldChange: (field: keyof PopupSettings, value: PopupSettings[keyof PopupSettings]) => void;
+}
+
+const modeOptions = [
+  { label: 'Show to all visitors', value: 'all' },
+  { label: 'Show only in selected regions', value: 'include' },
+  { label: 'Hide in selected regions', value: 'exclude' },
+];
+
+const regionGroupChoices = [
+  { label: 'EU / EEA (GDPR)', value: 'eea' },
+  { label: 'United Kingdom (UK GDPR)', value: 'uk' },
+  { label: 'Switzerland (FADP)', value: 'switzerland' },
+];
+
+/**
+ * Settings card for region-based display rules and the US state privacy notice
+ */
+export function GeoRulesCard({ settings, errors, onFieldChange }: GeoRulesCardProps) {
+  return (
+    <Card>
+      <div style={{ padding: '20px' }}>
+        <Text variant="headingMd" as="h2">Regions</Text>
+        <div style={{ marginTop: '16px' }}>
+          <FormLayout>
+            <Select
+              label="Who sees the consent popup"
+              options={modeOptions}
+              value={settings.geo_mode}
+              onChange={(value) => onFieldChange('geo_mode', value as GeoMode)}
+              error={errors.geo_mode}
+            />
+
+            {settings.geo_mode !== 'all' && (
+              <>
+                <ChoiceList
+                  title="Region groups"
+                  allowMultiple
+                  choices={regionGroupChoices}
+                  selected={settings.geo_region_groups}
+                  onChange={(value) => onFieldChange('geo_region_groups', value as GeoRegionGroup[])}
+                  error={errors.geo_region_groups}
+                />
+                <RegionListField
+                  label="Additional countries"
+                  value={settings.geo_countries}
+                  onChange={(value) => onFieldChange('geo_countries', value)}
+                  error={errors.geo_countries}
+                  helpText="ISO 3166 country codes separated by commas, e.g. BR, JP"
+                />
+              </>
+            )}
+
+            <Checkbox
+              label='Show a "Do Not Sell or Share" notice in US privacy states'
+              helpText="Visitors in these regions see an opt-out notice instead of the consent popup"
+              checked={settings.ccpa_enabled}
+              onChange={(value) => onFieldChange('ccpa_enabled', value)}
+            />
+
+            {settings.ccpa_enabled && (
+              <>
+                <RegionListField
+                  label="Opt-out notice regions"
+                  value={settings.ccpa_regions}
+                  onChange={(value) => onFieldChange('ccpa_regions', value)}
+                  error={errors.ccpa_regions}
+                  helpText="State codes such as US-CA. Visitors whose state can't be detected are matched by country."
+                />
+                <TextField
+                  label="Notice title"
+                  value={settings.ccpa_title}
+                  onChange={(value) => onFieldChange('ccpa_title', value)}
+                  error={errors.ccpa_title}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Notice text"
+                  value={settings.ccpa_text}
+                  onChange={(value) => onFieldChange('ccpa_text', value)}
+                  error={errors.ccpa_text}
+                  multiline={3}
+                  autoComplete="off"
+                />
+                <FormLayout.Group>
+                  <TextField
+                    label="Opt-out button text"
+                    value={settings.ccpa_opt_out_text}
+                    onChange={(value) => onFieldChange('ccpa_opt_out_text', value)}
+                    error={errors.ccpa_opt_out_text}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Acknowledge button text"
+                    value={settings.ccpa_acknowledge_text}
+                    onChange={(value) => onFieldChange('ccpa_acknowledge_text', value)}
+                    error={errors.ccpa_acknowledge_text}
+                    autoComplete="off"
+                  />
+                </FormLayout.Group>
+              </>
+            )}
+          </FormLayout>
+        </div>
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,97 @@
+import {
+  Banner,
+  Button,
+  Card,
+  FormLayout,
+  InlineStack,
+  Text,
+  TextField,
+} from '@shopify/polaris';
+import type { PopupSettings, SettingsErrors } from '../../types/settings';
+
+interface PolicyVersionCardProps {
+  settings: PopupSettings;
+  savedPolicyVersion: number;
+  errors: SettingsErrors;
+  onFieldChange: (field: keyof PopupSettings, value: PopupSettings[keyof PopupSettings]) => void;
+}
+
+/**
+ * Settings card for the privacy policy version and how long consent stays valid
+ */
+export function PolicyVersionCard({ settings, savedPolicyVersion, errors, onFieldChange }: PolicyVersionCardProps) {
+  const isBumped = settings.policy_version > savedPolicyVersion;
+
+  return (
+    <Card>
+      <div style={{ padding: '20px' }}>
+        <Text variant="headingMd" as="h2">Policy Version</Text>
+        <div style={{ marginTop: '16px' }}>
+          <FormLayout>
+            <InlineStack gap="400" blockAlign="center">
+              <Text variant="bodyMd" as="p">
+                Current version: <strong>{settings.policy_version}</strong>
+              </Text>
+              <Button
+                disabled={isBumped}
+                onClick={() => onFieldChange('policy_version', settings.policy_version + 1)}
+              >
+                Publish new policy version
+              </Button>
+              {isBumped && (
+                <Button
+                  variant="plain"
+                  onClick={() => onFieldChange('policy_version', savedPolicyVersion)}
+                >
+                  Undo
+                </Button>
+              )}
+            </InlineStack>
+
+            {isBumped && (
+              <Banner tone="warning">
+                <p>
+                  Once you save, every visitor will be asked for consent again, including those who already accepted.
+                </p>
+              </Banner>
+            )}
+
+            <TextField
+              label="What changed"
+              value={settings.policy_changelog}
+              onChange={(value) => onFieldChange('policy_changelog', value)}
+              error={errors.policy_changelog}
+              helpText="Optional note shown in the popup to visitors asked again after a policy update"
+              multiline={2}
+              autoComplete="off"
+            />
+
+            <TextField
+              label="Consent lifetime (days)"
+              type="number"
+              value={String(settings.consent_lifetime_days)}
+              onChange={(value) => onFieldChange('consent_lifetime_days', Number(value))}
+              error={errors.consent_lifetime_days}
+              helpText="Visitors are asked again once their consent is older than this"
+              min={1}
+              max={730}
+              autoComplete="off"
+            />
+
+            <TextField
+              label="Ask again after declining (days)"
+              type="number"
+              value={String(settings.decline_lifetime_days)}
+              onChange={(value) => onFieldChange('decline_lifetime_days', Number(value))}
+              error={errors.decline_lifetime_days}
+              helpText="Visitors who declined are asked again after this many days"
+              min={1}
+              max={730}
+              autoComplete="off"
+            />
+          </FormLayout>
+        </div>
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,199 @@
+import { useEffect, useRef, useState } from 'react';
+import {
+  Button,
+  ButtonGroup,
+  Card,
+  InlineStack,
+  Text,
+} from '@shopify/polaris';
+import popupCss from '../../../extensions/privacy-popup-extension/assets/privacy-popup.css?raw';
+import type { PopupSettings } from '../../types/settings';
+
+interface PopupPreviewProps {
+  settings: PopupSettings;
+  onFieldChange: (field: keyof PopupSettings, value: PopupSettings[keyof PopupSettings]) => void;
+}
+
+type Viewport = 'desktop' | 'mobile';
+
+const VIEWPORTS: Record<Viewport, { width: number; height: number }> = {
+  desktop: { width: 1280, height: 800 },
+  mobile: { width: 375, height: 667 },
+};
+
+const positions = [
+  { label: 'Top', value: 'top' },
+  { label: 'Bottom', value: 'bottom' },
+  { label: 'Center', value: 'center' },
+];
+
+const SHADOWS: Record<PopupSettings['shadow'], string> = {
+  none: 'none',
+  subtle: '0 4px 20px rgba(0, 0, 0, 0.15)',
+  strong: '0 12px 40px rgba(0, 0, 0, 0.3)',
+};
+
+/**
+ * Position the storefront script sees for a layout, as the block computes it
+ */
+function effectivePosition(settings: PopupSettings) {
+  switch (settings.layout) {
+    case 'bar':
+      return settings.position === 'center' ? 'bottom' : settings.position;
+    case 'corner':
+      return 'bottom';
+    case 'modal':
+    case 'side-panel':
+      return 'center';
+    default:
+      return settings.position;
+  }
+}
+
+const escapeHtml = (text: string) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Storefront markup of the popup's default banner, matching the theme app embed block
+ */
+function popupMarkup(settings: PopupSettings) {
+  const style = [
+    `--popup-bg-color: ${settings.background_color}`,
+    `--popup-text-color: ${settings.text_color}`,
+    `--popup-accept-color: ${settings.accept_button_color}`,
+    `--popup-accept-text-color: ${settings.accept_button_text_color}`,
+    `--popup-secondary-color: ${settings.secondary_button_color}`,
+    `--popup-secondary-text-color: ${settings.secondary_button_text_color}`,
+    `--popup-font-size: ${settings.font_size}px`,
+    `--popup-radius: ${settings.border_radius}px`,
+    `--popup-shadow: ${SHADOWS[settings.shadow]}`,
+    ...(settings.font_source === 'custom' && settings.font_family ? [`--popup-font-family: ${settings.font_family}`] : []),
+  ].join('; ');
+  const classes = [
+    'privacy-popup-overlay',
+    `position-${effectivePosition(settings)}`,
+    `layout-${settings.layout}`,
+    `layout-side-${settings.layout_side}`,
+    `buttons-${settings.button_style}`,
+    'show',
+  ].join(' ');
+
+  // Like the block's newline_to_br, the popup text is not escaped
+  return `
+    <div class="${classes}" style="${escapeHtml(style)}">
+      <div class="privacy-popup-container">
+        <div class="privacy-popup-content">
+          ${settings.logo_url ? `<img class="privacy-popup-logo" src="${escapeHtml(settings.logo_url)}" alt="">` : ''}
+          <h3 class="privacy-popup-title">${escapeHtml(settings.popup_title)}</h3>
+          <div class="privacy-popup-text">${settings.popup_text.replace(/\n/g, '<br>')}</div>
+          <div class="privacy-popup-buttons">
+            <button type="button" class="privacy-popup-accept">${escapeHtml(settings.accept_text)}</button>
+            ${settings.show_decline ? `<button type="button" class="privacy-popup-decline">${escapeHtml(settings.decline_text)}</button>` : ''}
+            ${settings.show_preferences ? `<button type="button" class="privacy-popup-preferences-toggle">${escapeHtml(settings.preferences_text)}</button>` : ''}
+            ${settings.privacy_policy_url ? `<a href="#" class="privacy-popup-policy-link">${escapeHtml(settings.policy_link_text)}</a>` : ''}
+          </div>
+        </div>
+      </div>
+    </div>`;
+}
+
+/**
+ * Placeholder store page behind the popup, so bars and the overlay read as they do on the storefront
+ */
+const PAGE_MARKUP = `
+  <div class="page">
+    <div class="header"></div>
+    <div class="hero"></div>
+    <div class="products"><div></div><div></div><div></div></div>
+  </div>`;
+
+const PAGE_CSS = `
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+  .page { padding: 16px; }
+  .header { height: 48px; background: #f1f1f1; border-radius: 4px; }
+  .hero { height: 240px; margin-top: 16px; background: #e3e3e3; border-radius: 4px; }
+  .products { display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 16px; margin-top: 16px; }
+  .products div { height: 200px; background: #f1f1f1; border-radius: 4px; }
+`;
+
+/**
+ * Live preview of the popup with the storefront stylesheet, updated as settings change
+ */
+export function PopupPreview({ settings, onFieldChange }: PopupPreviewProps) {
+  const [viewport, setViewport] = useState<Viewport>('desktop');
+  const [frameWidth, setFrameWidth] = useState(0);
+  const frameRef = useRef<HTMLDivElement>(null);
+
+  // Render the storefront viewport at full size and scale it down to the card
+  useEffect(() => {
+    const element = frameRef.current;
+    if (!element) return;
+
+    const observer = new ResizeObserver(([entry]) => setFrameWidth(entry.contentRect.width));
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  const { width, height } = VIEWPORTS[viewport];
+  const scale = frameWidth ? Math.min(1, frameWidth / width) : 0;
+  const customCss = settings.custom_css.replace(/</g, '');
+  const previewDocument = `<!doctype html><html><head><style>${PAGE_CSS}${popupCss}${customCss}</style></head><body>${PAGE_MARKUP}${popupMarkup(settings)}</body></html>`;
+
+  return (
+    <Card>
+      <div style={{ padding: '20px' }}>
+        <InlineStack align="space-between" blockAlign="center" gap="200">
+          <Text variant="headingMd" as="h2">Preview</Text>
+          <ButtonGroup variant="segmented">
+            <Button pressed={viewport === 'desktop'} onClick={() => setViewport('desktop')}>Desktop</Button>
+            <Button pressed={viewport === 'mobile'} onClick={() => setViewport('mobile')}>Mobile</Button>
+          </ButtonGroup>
+        </InlineStack>
+        {(settings.layout === 'floating' || settings.layout === 'bar') && (
+          <div style={{ marginTop: '12px' }}>
+            <ButtonGroup variant="segmented">
+              {positions
+                .filter((position) => settings.layout !== 'bar' || position.value !== 'center')
+                .map((position) => (
+                  <Button
+                    key={position.value}
+                    pressed={effectivePosition(settings) === position.value}
+                    onClick={() => onFieldChange('position', position.value)}
+                  >
+                    {position.label}
+                  </Button>
+                ))}
+            </ButtonGroup>
+          </div>
+        )}
+        <div ref={frameRef} style={{ marginTop: '16px', height: `${height * scale}px`, overflow: 'hidden' }}>
+          {scale > 0 && (
+            <iframe
+              title="Popup preview"
+              srcDoc={previewDocument}
+              sandbox=""
+              style={{
+                width: `${width}px`,
+                height: `${height}px`,
+                border: '1px solid #e1e3e5',
+                borderRadius: '8px',
+                transform: `scale(${scale})`,
+                transformOrigin: 'top left',
+                display: 'block',
+                margin: viewport === 'mobile' ? '0 auto' : undefined,
+              }}
+            />
+          )}
+        </div>
+        <div style={{ marginTop: '8px' }}>
+          <Text variant="bodySm" as="p" tone="subdued">
+            Shows your unsaved changes in your store's default language.
+          </Text>
+        </div>
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,44 @@
+import { useEffect, useState } from 'react';
+import { TextField } from '@shopify/polaris';
+
+interface RegionListFieldProps {
+  label: string;
+  value: string[];
+  onChange: (value: string[]) => void;
+  error?: string;
+  helpText?: string;
+}
+
+const parseRegions = (text: string) =>
+  text.split(',').map((code) => code.trim().toUpperCase()).filter(Boolean);
+
+/**
+ * Text field for a comma-separated list of ISO 3166 country or region codes
+ */
+export function RegionListField({ label, value, onChange, error, helpText }: RegionListFieldProps) {
+  // Keep the raw text so typing a trailing comma isn't swallowed by parsing
+  const [text, setText] = useState(value.join(', '));
+
+  // Pick up changes made outside the field, such as loading saved settings
+  useEffect(() => {
+    if (parseRegions(text).join(',') !== value.join(',')) {
+      setText(value.join(', '));
+    }
+  }, [value]);
+
+  const handleChange = (newText: string) => {
+    setText(newText);
+    onChange(parseRegions(newText));
+  };
+
+  return (
+    <TextField
+      label={label}
+      value={text}
+      onChange={handleChange}
+      error={error}
+      helpText={helpText ?? 'ISO 3166 codes separated by commas, e.g. US, CA, US-CA'}
+      autoComplete="off"
+    />
+  );
+}
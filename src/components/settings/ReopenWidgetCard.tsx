@@ -0,0 +1,76 @@
+import {
+  Card,
+  Checkbox,
+  FormLayout,
+  Select,
+  Text,
+  TextField,
+} from '@shopify/polaris';
+import type { PopupSettings, SettingsErrors } from '../../types/settings';
+
+interface ReopenWidgetCardProps {
+  settings: PopupSettings;
+  errors: SettingsErrors;
+  onFieldChange: (field: keyof PopupSettings, value: PopupSettings[keyof PopupSettings]) => void;
+}
+
+const positionOptions = [
+  { label: 'Bottom left', value: 'bottom-left' },
+  { label: 'Bottom right', value: 'bottom-right' },
+];
+
+/**
+ * Settings card for letting visitors change or withdraw their consent later
+ */
+export function ReopenWidgetCard({ settings, errors, onFieldChange }: ReopenWidgetCardProps) {
+  return (
+    <Card>
+      <div style={{ padding: '20px' }}>
+        <Text variant="headingMd" as="h2">Changing Consent</Text>
+        <div style={{ marginTop: '16px' }}>
+          <FormLayout>
+            <Text variant="bodyMd" as="p" tone="subdued">
+              Visitors can reopen their choices from any link in your theme with
+              the <code>data-privacy-popup-open</code> attribute, for example in the footer.
+            </Text>
+
+            <Checkbox
+              label="Show a floating cookie settings button"
+              helpText="Appears once a visitor has made a choice"
+              checked={settings.reopen_widget_enabled}
+              onChange={(value) => onFieldChange('reopen_widget_enabled', value)}
+            />
+
+            {settings.reopen_widget_enabled && (
+              <FormLayout.Group>
+                <TextField
+                  label="Button text"
+                  value={settings.reopen_widget_text}
+                  onChange={(value) => onFieldChange('reopen_widget_text', value)}
+                  error={errors.reopen_widget_text}
+                  autoComplete="off"
+                />
+                <Select
+                  label="Button position"
+                  options={positionOptions}
+                  value={settings.reopen_widget_position}
+                  onChange={(value) => onFieldChange('reopen_widget_position', value)}
+                  error={errors.reopen_widget_position}
+                />
+              </FormLayout.Group>
+            )}
+
+            <TextField
+              label="Withdraw consent button text"
+              value={settings.revoke_text}
+              onChange={(value) => onFieldChange('revoke_text', value)}
+              error={errors.revoke_text}
+              helpText="Shown in the preferences view when a visitor reopens it"
+              autoComplete="off"
+            />
+          </FormLayout>
+        </div>
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,123 @@
+import {
+  Button,
+  Card,
+  FormLayout,
+  InlineStack,
+  Select,
+  Text,
+  TextField,
+} from '@shopify/polaris';
+import type { BlockedDomain, PopupSettings, SettingsErrors } from '../../types/settings';
+
+interface ScriptBlockingCardProps {
+  settings: PopupSettings;
+  errors: SettingsErrors;
+  onFieldChange: (field: keyof PopupSettings, value: PopupSettings[keyof PopupSettings]) => void;
+}
+
+const categoryOptions = [
+  { label: 'Analytics', value: 'analytics' },
+  { label: 'Marketing', value: 'marketing' },
+  { label: 'Preferences', value: 'preferences' },
+];
+
+/**
+ * Widely used trackers merchants can block in one click
+ */
+const COMMON_TRACKERS: BlockedDomain[] = [
+  { domain: 'connect.facebook.net', category: 'marketing' },
+  { domain: 'analytics.tiktok.com', category: 'marketing' },
+  { domain: 's.pinimg.com', category: 'marketing' },
+  { domain: 'snap.licdn.com', category: 'marketing' },
+  { domain: 'bat.bing.com', category: 'marketing' },
+  { domain: 'sc-static.net', category: 'marketing' },
+  { domain: 'static.hotjar.com', category: 'analytics' },
+  { domain: 'www.clarity.ms', category: 'analytics' },
+];
+
+/**
+ * Settings card for third-party domains whose scripts wait for consent
+ */
+export function ScriptBlockingCard({ settings, errors, onFieldChange }: ScriptBlockingCardProps) {
+  const blockedDomains = settings.blocked_domains;
+  const missingTrackers = COMMON_TRACKERS.filter(
+    (tracker) => !blockedDomains.some((entry) => entry.domain === tracker.domain),
+  );
+
+  const updateEntry = (index: number, changes: Partial<BlockedDomain>) => {
+    onFieldChange(
+      'blocked_domains',
+      blockedDomains.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)),
+    );
+  };
+
+  const handleRemoveEntry = (index: number) => {
+    onFieldChange(
+      'blocked_domains',
+      blockedDomains.filter((_, i) => i !== index),
+    );
+  };
+
+  return (
+    <Card>
+      <div style={{ padding: '20px' }}>
+        <Text variant="headingMd" as="h2">Script Blocking</Text>
+        <div style={{ marginTop: '16px' }}>
+          <FormLayout>
+            <Text variant="bodyMd" as="p" tone="subdued">
+              Scripts and iframes from these domains are held back until the visitor allows their category.
+              You can also block any script in your theme by changing it
+              to <code>{'<script type="text/plain" data-consent-category="marketing">'}</code>.
+            </Text>
+            {settings.consent_mode_enabled && (
+              <Text variant="bodyMd" as="p" tone="subdued">
+                Google tags already respect Google Consent Mode, so don't block Google domains here.
+              </Text>
+            )}
+
+            {blockedDomains.map((entry, index) => (
+              <FormLayout.Group key={index} condensed>
+                <TextField
+                  label="Domain"
+                  value={entry.domain}
+                  onChange={(value) => updateEntry(index, { domain: value.trim().toLowerCase() })}
+                  error={errors[`blocked_domains.${index}.domain`]}
+                  placeholder="connect.facebook.net"
+                  helpText="Subdomains are blocked too"
+                  autoComplete="off"
+                />
+                <Select
+                  label="Category"
+                  options={categoryOptions}
+                  value={entry.category}
+                  onChange={(value) => updateEntry(index, { category: value as BlockedDomain['category'] })}
+                  error={errors[`blocked_domains.${index}.category`]}
+                />
+                <Button variant="plain" tone="critical" onClick={() => handleRemoveEntry(index)}>
+                  Remove
+                </Button>
+              </FormLayout.Group>
+            ))}
+
+            <InlineStack gap="200">
+              <Button
+                onClick={() => onFieldChange('blocked_domains', [
+                  ...blockedDomains,
+                  { domain: '', category: 'marketing' },
+                ])}
+              >
+                Add domain
+              </Button>
+              <Button
+                disabled={!missingTrackers.length}
+                onClick={() => onFieldChange('blocked_domains', [...blockedDomains, ...missingTrackers])}
+              >
+                Add common trackers
+              </Button>
+            </InlineStack>
+          </FormLayout>
+        </div>
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,129 @@
+import {
+  Card,
+  FormLayout,
+  RangeSlider,
+  Select,
+  Text,
+  TextField,
+} from '@shopify/polaris';
+import type { PopupSettings, SettingsErrors } from '../../types/settings';
+
+interface StyleCardProps {
+  settings: PopupSettings;
+  errors: SettingsErrors;
+  onFieldChange: (field: keyof PopupSettings, value: PopupSettings[keyof PopupSettings]) => void;
+}
+
+const fontSourceOptions = [
+  { label: 'Use the theme font', value: 'theme' },
+  { label: 'Use a custom font', value: 'custom' },
+];
+
+const shadowOptions = [
+  { label: 'None', value: 'none' },
+  { label: 'Subtle', value: 'subtle' },
+  { label: 'Strong', value: 'strong' },
+];
+
+const buttonStyleOptions = [
+  { label: 'Filled', value: 'filled' },
+  { label: 'Outline', value: 'outline' },
+  { label: 'Link', value: 'link' },
+];
+
+/**
+ * Settings card for the popup's typography, shape, logo and custom CSS
+ */
+export function StyleCard({ settings, errors, onFieldChange }: StyleCardProps) {
+  return (
+    <Card>
+      <div style={{ padding: '20px' }}>
+        <Text variant="headingMd" as="h2">Style</Text>
+        <div style={{ marginTop: '16px' }}>
+          <FormLayout>
+            <FormLayout.Group>
+              <Select
+                label="Font"
+                options={fontSourceOptions}
+                value={settings.font_source}
+                onChange={(value) => onFieldChange('font_source', value)}
+                error={errors.font_source}
+              />
+              {settings.font_source === 'custom' && (
+                <TextField
+                  label="Font family"
+                  value={settings.font_family}
+                  onChange={(value) => onFieldChange('font_family', value)}
+                  error={errors.font_family}
+                  placeholder="Georgia, serif"
+                  helpText="Must already be loaded by your theme. Leave blank to use the font picked in the theme editor."
+                  autoComplete="off"
+                />
+              )}
+            </FormLayout.Group>
+
+            <RangeSlider
+              label={`Text size: ${settings.font_size}px`}
+              value={settings.font_size}
+              onChange={(value) => onFieldChange('font_size', value as number)}
+              error={errors.font_size}
+              min={12}
+              max={20}
+              step={1}
+              output
+            />
+
+            <RangeSlider
+              label={`Corner radius: ${settings.border_radius}px`}
+              value={settings.border_radius}
+              onChange={(value) => onFieldChange('border_radius', value as number)}
+              error={errors.border_radius}
+              min={0}
+              max={32}
+              step={1}
+              output
+            />
+
+            <FormLayout.Group>
+              <Select
+                label="Shadow"
+                options={shadowOptions}
+                value={settings.shadow}
+                onChange={(value) => onFieldChange('shadow', value)}
+                error={errors.shadow}
+              />
+              <Select
+                label="Button style"
+                options={buttonStyleOptions}
+                value={settings.button_style}
+                onChange={(value) => onFieldChange('button_style', value)}
+                error={errors.button_style}
+              />
+            </FormLayout.Group>
+
+            <TextField
+              label="Logo URL"
+              type="url"
+              value={settings.logo_url}
+              onChange={(value) => onFieldChange('logo_url', value)}
+              error={errors.logo_url}
+              helpText="Optional: Shown above the popup title"
+              autoComplete="off"
+            />
+
+            <TextField
+              label="Custom CSS"
+              value={settings.custom_css}
+              onChange={(value) => onFieldChange('custom_css', value)}
+              error={errors.custom_css}
+              multiline={6}
+              monospaced
+              helpText="Added to every page with the popup. Target .privacy-popup-container and its children."
+              autoComplete="off"
+            />
+          </FormLayout>
+        </div>
+      </div>
+    </Card>
+  );
+}
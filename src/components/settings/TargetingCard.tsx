@@ -0,0 +1,142 @@
+import { useEffect, useState } from 'react';
+import {
+  Card,
+  Checkbox,
+  ChoiceList,
+  FormLayout,
+  RangeSlider,
+  Select,
+  Text,
+  TextField,
+} from '@shopify/polaris';
+import type { PageMode, PopupSettings, SettingsErrors } from '../../types/settings';
+
+interface TargetingCardProps {
+  settings: PopupSettings;
+  errors: SettingsErrors;
+  onFieldChange: (field: keyof PopupSettings, value: PopupSettings[keyof PopupSettings]) => void;
+}
+
+const modeOptions = [
+  { label: 'Show on every page', value: 'all' },
+  { label: 'Show only on selected pages', value: 'include' },
+  { label: 'Hide on selected pages', value: 'exclude' },
+];
+
+const templateChoices = [
+  { label: 'Home page', value: 'index' },
+  { label: 'Product pages', value: 'product' },
+  { label: 'Collection pages', value: 'collection' },
+  { label: 'Collections list', value: 'list-collections' },
+  { label: 'Search results', value: 'search' },
+  { label: 'Cart', value: 'cart' },
+  { label: 'Pages', value: 'page' },
+  { label: 'Blogs', value: 'blog' },
+  { label: 'Blog posts', value: 'article' },
+  { label: 'Page not found', value: '404' },
+];
+
+const parsePatterns = (text: string) =>
+  text.split('\n').map((pattern) => pattern.trim()).filter(Boolean);
+
+/**
+ * Settings card for the pages the popup shows on and what makes it appear
+ */
+export function TargetingCard({ settings, errors, onFieldChange }: TargetingCardProps) {
+  // Keep the raw text so typing a new line isn't swallowed by parsing
+  const [patternText, setPatternText] = useState(settings.page_url_patterns.join('\n'));
+
+  // Pick up changes made outside the field, such as loading saved settings
+  useEffect(() => {
+    if (parsePatterns(patternText).join('\n') !== settings.page_url_patterns.join('\n')) {
+      setPatternText(settings.page_url_patterns.join('\n'));
+    }
+  }, [settings.page_url_patterns]);
+
+  const patternErrors = Object.entries(errors)
+    .filter(([key]) => key === 'page_url_patterns' || key.startsWith('page_url_patterns.'))
+    .map(([key, message]) => {
+      const index = Number(key.split('.')[1]);
+      return Number.isNaN(index) ? message : `${settings.page_url_patterns[index]}: ${message}`;
+    });
+
+  return (
+    <Card>
+      <div style={{ padding: '20px' }}>
+        <Text variant="headingMd" as="h2">Pages and Triggers</Text>
+        <div style={{ marginTop: '16px' }}>
+          <FormLayout>
+            <Select
+              label="Where the popup appears"
+              options={modeOptions}
+              value={settings.page_mode}
+              onChange={(value) => onFieldChange('page_mode', value as PageMode)}
+              error={errors.page_mode}
+            />
+
+            {settings.page_mode !== 'all' && (
+              <>
+                <ChoiceList
+                  title="Page types"
+                  allowMultiple
+                  choices={templateChoices}
+                  selected={settings.page_templates}
+                  onChange={(value) => onFieldChange('page_templates', value)}
+                  error={errors.page_templates}
+                />
+                <TextField
+                  label="URL patterns"
+                  value={patternText}
+                  onChange={(value) => {
+                    setPatternText(value);
+                    onFieldChange('page_url_patterns', parsePatterns(value));
+                  }}
+                  error={patternErrors.length ? patternErrors.join('. ') : undefined}
+                  multiline={3}
+                  placeholder={'/pages/privacy-policy\n/collections/sale/**'}
+                  helpText="One path per line. * matches within a path segment and ** across segments."
+                  autoComplete="off"
+                />
+              </>
+            )}
+
+            <RangeSlider
+              label={`Show after ${settings.trigger_page_views} page ${settings.trigger_page_views === 1 ? 'view' : 'views'}`}
+              value={settings.trigger_page_views}
+              onChange={(value) => onFieldChange('trigger_page_views', value as number)}
+              error={errors.trigger_page_views}
+              min={1}
+              max={10}
+              step={1}
+              output
+            />
+
+            <RangeSlider
+              label={settings.trigger_scroll_depth
+                ? `Show after scrolling ${settings.trigger_scroll_depth}% of the page`
+                : 'Show without waiting for the visitor to scroll'}
+              value={settings.trigger_scroll_depth}
+              onChange={(value) => onFieldChange('trigger_scroll_depth', value as number)}
+              error={errors.trigger_scroll_depth}
+              min={0}
+              max={100}
+              step={10}
+              output
+            />
+
+            <Checkbox
+              label="Show when the visitor is about to leave"
+              helpText="Detected when the mouse leaves the top of the window. With scrolling also set, whichever happens first shows the popup. On touch devices without a scroll rule, the popup shows after the delay."
+              checked={settings.trigger_exit_intent}
+              onChange={(value) => onFieldChange('trigger_exit_intent', value)}
+            />
+
+            <Text variant="bodyMd" as="p" tone="subdued">
+              The show delay under Display Settings still applies. Links that reopen the popup ignore these rules.
+            </Text>
+          </FormLayout>
+        </div>
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,207 @@
+import { useState } from 'react';
+import {
+  Button,
+  Card,
+  FormLayout,
+  InlineError,
+  InlineStack,
+  Select,
+  Text,
+  TextField,
+} from '@shopify/polaris';
+import { STOREFRONT_LOCALES, createTranslation, localeLabel } from './storefrontLocales';
+import type { PopupSettings, PopupTranslation, SettingsErrors } from '../../types/settings';
+
+interface TranslationsCardProps {
+  settings: PopupSettings;
+  errors: SettingsErrors;
+  onFieldChange: (field: keyof PopupSettings, value: PopupSettings[keyof PopupSettings]) => void;
+}
+
+type TranslationTextField = Exclude<keyof PopupTranslation, 'categories'>;
+
+const OTHER_LOCALE = 'other';
+
+/**
+ * Settings card for popup copy per storefront language
+ */
+export function TranslationsCard({ settings, errors, onFieldChange }: TranslationsCardProps) {
+  const [selectedLocale, setSelectedLocale] = useState('');
+  const [newLocale, setNewLocale] = useState('');
+  const [customLocale, setCustomLocale] = useState('');
+
+  const locales = Object.keys(settings.translations);
+  const activeLocale = settings.translations[selectedLocale] ? selectedLocale : locales[0];
+  const translation = activeLocale ? settings.translations[activeLocale] : undefined;
+
+  const addOptions = [
+    { label: 'Choose a language', value: '' },
+    ...STOREFRONT_LOCALES
+      .filter((locale) => !settings.translations[locale.code])
+      .map((locale) => ({ label: locale.label, value: locale.code })),
+    { label: 'Other (enter a locale code)', value: OTHER_LOCALE },
+  ];
+  const localeToAdd = newLocale === OTHER_LOCALE ? customLocale.trim() : newLocale;
+
+  const handleAdd = () => {
+    onFieldChange('translations', { ...settings.translations, [localeToAdd]: createTranslation(localeToAdd) });
+    setSelectedLocale(localeToAdd);
+    setNewLocale('');
+    setCustomLocale('');
+  };
+
+  const handleRemove = () => {
+    onFieldChange(
+      'translations',
+      Object.fromEntries(Object.entries(settings.translations).filter(([code]) => code !== activeLocale)),
+    );
+  };
+
+  const updateTranslation = (update: Partial<PopupTranslation>) => {
+    onFieldChange('translations', {
+      ...settings.translations,
+      [activeLocale]: { ...settings.translations[activeLocale], ...update },
+    });
+  };
+
+  const errorFor = (path: string) => errors[`translations.${activeLocale}.${path}`];
+
+  const renderField = (field: TranslationTextField, label: string, multiline?: number) => (
+    <TextField
+      label={label}
+      value={translation?.[field] ?? ''}
+      placeholder={String(settings[field])}
+      onChange={(value) => updateTranslation({ [field]: value })}
+      error={errorFor(field)}
+      multiline={multiline}
+      autoComplete="off"
+    />
+  );
+
+  return (
+    <Card>
+      <div style={{ padding: '20px' }}>
+        <Text variant="headingMd" as="h2">Translations</Text>
+        <div style={{ marginTop: '16px' }}>
+          <FormLayout>
+            <Text variant="bodyMd" as="p" tone="subdued">
+              Visitors browsing your store in one of these languages see the translated copy.
+              Blank fields use the copy above.
+            </Text>
+
+            <InlineStack gap="400" blockAlign="end">
+              <Select
+                label="Add a language"
+                options={addOptions}
+                value={newLocale}
+                onChange={setNewLocale}
+              />
+              {newLocale === OTHER_LOCALE && (
+                <TextField
+                  label="Locale code"
+                  value={customLocale}
+                  onChange={setCustomLocale}
+                  placeholder="pt-BR"
+                  autoComplete="off"
+                />
+              )}
+              <Button
+                onClick={handleAdd}
+                disabled={!localeToAdd || Boolean(settings.translations[localeToAdd])}
+              >
+                Add
+              </Button>
+            </InlineStack>
+
+            {translation && (
+              <>
+                <InlineStack gap="400" blockAlign="end">
+                  <Select
+                    label="Language"
+                    options={locales.map((code) => ({ label: `${localeLabel(code)} (${code})`, value: code }))}
+                    value={activeLocale}
+                    onChange={setSelectedLocale}
+                  />
+                  <Button tone="critical" onClick={handleRemove}>
+                    Remove language
+                  </Button>
+                </InlineStack>
+                {errors[`translations.${activeLocale}`] && (
+                  <InlineError
+                    message={errors[`translations.${activeLocale}`] as string}
+                    fieldID="translations"
+                  />
+                )}
+
+                {renderField('popup_title', 'Popup title')}
+                {renderField('popup_text', 'Popup text', 4)}
+                <FormLayout.Group>
+                  {renderField('accept_text', 'Accept button text')}
+                  {renderField('decline_text', 'Decline button text')}
+                </FormLayout.Group>
+                <FormLayout.Group>
+                  {renderField('privacy_policy_url', 'Privacy policy URL')}
+                  {renderField('policy_link_text', 'Privacy policy link text')}
+                </FormLayout.Group>
+                {renderField('policy_changelog', 'What changed', 2)}
+                <FormLayout.Group>
+                  {renderField('reopen_widget_text', 'Cookie settings button text')}
+                  {renderField('revoke_text', 'Withdraw consent button text')}
+                </FormLayout.Group>
+
+                {settings.show_preferences ? (
+                  <FormLayout.Group>
+                    {renderField('preferences_text', 'Manage preferences button text')}
+                    {renderField('save_preferences_text', 'Save preferences button text')}
+                  </FormLayout.Group>
+                ) : renderField('save_preferences_text', 'Save preferences button text')}
+                {settings.consent_categories.map((category) => (
+                  <FormLayout.Group key={category.id}>
+                    <TextField
+                      label={`${category.name} category name`}
+                      value={translation.categories[category.id]?.name ?? ''}
+                      placeholder={category.name}
+                      onChange={(value) => updateTranslation({
+                        categories: {
+                          ...translation.categories,
+                          [category.id]: { description: '', ...translation.categories[category.id], name: value },
+                        },
+                      })}
+                      error={errorFor(`categories.${category.id}.name`)}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Description"
+                      value={translation.categories[category.id]?.description ?? ''}
+                      placeholder={category.description}
+                      onChange={(value) => updateTranslation({
+                        categories: {
+                          ...translation.categories,
+                          [category.id]: { name: '', ...translation.categories[category.id], description: value },
+                        },
+                      })}
+                      error={errorFor(`categories.${category.id}.description`)}
+                      multiline={2}
+                      autoComplete="off"
+                    />
+                  </FormLayout.Group>
+                ))}
+
+                {settings.ccpa_enabled && (
+                  <>
+                    {renderField('ccpa_title', 'US opt-out notice title')}
+                    {renderField('ccpa_text', 'US opt-out notice text', 3)}
+                    <FormLayout.Group>
+                      {renderField('ccpa_opt_out_text', 'Opt-out button text')}
+                      {renderField('ccpa_acknowledge_text', 'Acknowledge button text')}
+                    </FormLayout.Group>
+                  </>
+                )}
+              </>
+            )}
+          </FormLayout>
+        </div>
+      </div>
+    </Card>
+  );
+}
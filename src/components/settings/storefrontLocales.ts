@@ -0,0 +1,76 @@
+import ar from '../../../extensions/privacy-popup-extension/locales/ar.json';
+import da from '../../../extensions/privacy-popup-extension/locales/da.json';
+import de from '../../../extensions/privacy-popup-extension/locales/de.json';
+import es from '../../../extensions/privacy-popup-extension/locales/es.json';
+import fi from '../../../extensions/privacy-popup-extension/locales/fi.json';
+import fr from '../../../extensions/privacy-popup-extension/locales/fr.json';
+import he from '../../../extensions/privacy-popup-extension/locales/he.json';
+import it from '../../../extensions/privacy-popup-extension/locales/it.json';
+import nl from '../../../extensions/privacy-popup-extension/locales/nl.json';
+import pl from '../../../extensions/privacy-popup-extension/locales/pl.json';
+import ptPT from '../../../extensions/privacy-popup-extension/locales/pt-PT.json';
+import sv from '../../../extensions/privacy-popup-extension/locales/sv.json';
+import type { ConsentCategoryId, PopupTranslation } from '../../types/settings';
+
+type LocaleFile = typeof de;
+
+interface StorefrontLocale {
+  code: string;
+  label: string;
+  file: LocaleFile;
+}
+
+/**
+ * Languages the theme app extension ships default popup copy for
+ */
+export const STOREFRONT_LOCALES: StorefrontLocale[] = [
+  { code: 'ar', label: 'Arabic', file: ar },
+  { code: 'da', label: 'Danish', file: da },
+  { code: 'nl', label: 'Dutch', file: nl },
+  { code: 'fi', label: 'Finnish', file: fi },
+  { code: 'fr', label: 'French', file: fr },
+  { code: 'de', label: 'German', file: de },
+  { code: 'he', label: 'Hebrew', file: he },
+  { code: 'it', label: 'Italian', file: it },
+  { code: 'pl', label: 'Polish', file: pl },
+  { code: 'pt-PT', label: 'Portuguese (Portugal)', file: ptPT },
+  { code: 'es', label: 'Spanish', file: es },
+  { code: 'sv', label: 'Swedish', file: sv },
+];
+
+const CATEGORY_IDS: ConsentCategoryId[] = ['necessary', 'analytics', 'marketing', 'preferences'];
+
+/**
+ * Human-readable name for a locale code, e.g. `German` for `de`
+ */
+export function localeLabel(code: string): string {
+  return STOREFRONT_LOCALES.find((locale) => locale.code === code)?.label ?? code;
+}
+
+/**
+ * A new translation for `code`, prefilled from the extension's locale file when one ships
+ */
+export function createTranslation(code: string): PopupTranslation {
+  const strings = STOREFRONT_LOCALES.find((locale) => locale.code === code)?.file.privacy_popup;
+
+  return {
+    popup_title: strings?.title ?? '',
+    popup_text: strings?.default_text ?? '',
+    accept_text: strings?.accept ?? '',
+    decline_text: strings?.decline ?? '',
+    privacy_policy_url: '',
+    policy_link_text: strings?.privacy_policy ?? '',
+    preferences_text: strings?.manage_preferences ?? '',
+    save_preferences_text: strings?.save_preferences ?? '',
+    ccpa_title: strings?.ccpa.title ?? '',
+    ccpa_text: strings?.ccpa.text ?? '',
+    ccpa_opt_out_text: strings?.ccpa.opt_out ?? '',
+    ccpa_acknowledge_text: strings?.ccpa.acknowledge ?? '',
+    policy_changelog: '',
+    reopen_widget_text: strings?.reopen ?? '',
+    revoke_text: strings?.revoke ?? '',
+    categories: strings
+      ? Object.fromEntries(CATEGORY_IDS.map((id) => [id, { ...strings.categories[id] }]))
+      : {},
+  };
+}
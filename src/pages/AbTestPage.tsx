@@ -0,0 +1,220 @@
+import { useState, useCallback, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  Button,
+  Banner,
+  DataTable,
+  Modal,
+  Text,
+} from '@shopify/polaris';
+import { TitleBar, useAppBridge } from '@shopify/app-bridge-react';
+import { Toast } from '@shopify/app-bridge/actions';
+import { useNavigate } from 'react-router-dom';
+import { UpgradeBanner } from '../components/billing/UpgradeBanner';
+import type { AnalyticsCounts, AnalyticsSummary } from '../types/analytics';
+import type { PopupSettings } from '../types/settings';
+
+const CONTROL_VARIANT_ID = 'control';
+
+// The analytics API returns at most a year of data
+const MAX_RANGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+const toDateInput = (date: Date) => date.toISOString().slice(0, 10);
+
+const rate = (counts: AnalyticsCounts | undefined, event: 'accept' | 'decline') =>
+  counts && counts.impression ? counts[event] / counts.impression : null;
+
+const formatPercent = (value: number | null) => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+interface VariantRow {
+  id: string;
+  name: string;
+  weight: number;
+}
+
+/**
+ * A/B test results page comparing variants with the control popup and promoting a winner
+ */
+export function AbTestPage() {
+  const app = useAppBridge();
+  const navigate = useNavigate();
+  const [settings, setSettings] = useState<PopupSettings | null>(null);
+  const [summary, setSummary] = useState<AnalyticsSummary | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [upgradeRequired, setUpgradeRequired] = useState(false);
+  const [promoting, setPromoting] = useState<VariantRow | null>(null);
+  const [isPromoting, setIsPromoting] = useState(false);
+
+  const showToast = useCallback((message: string, isError = false) => {
+    const toast = Toast.create(app, { message, duration: isError ? 5000 : 3000, isError });
+    toast.dispatch(Toast.Action.SHOW);
+  }, [app]);
+
+  const loadResults = useCallback(async () => {
+    setError(null);
+    try {
+      const settingsResponse = await fetch('/api/settings');
+      const loadedSettings = await settingsResponse.json() as PopupSettings;
+      setSettings(loadedSettings);
+      if (!loadedSettings.ab_test_enabled) return;
+
+      const now = new Date();
+      const started = new Date(loadedSettings.ab_test_started_at || now);
+      const from = new Date(Math.max(started.getTime(), now.getTime() - MAX_RANGE_MS));
+      const response = await fetch(`/api/analytics?${new URLSearchParams({ from: toDateInput(from), to: toDateInput(now) })}`);
+      const data = await response.json();
+      if (response.status === 402) {
+        setUpgradeRequired(true);
+        return;
+      }
+      if (!response.ok) {
+        setError(data.error || 'Failed to load results');
+        return;
+      }
+      setSummary(data as AnalyticsSummary);
+    } catch (err) {
+      console.error('Error loading A/B test results:', err);
+      showToast('Error loading A/B test results', true);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadResults();
+  }, []);
+
+  const handlePromote = useCallback(async () => {
+    if (!promoting) return;
+    setIsPromoting(true);
+    try {
+      const response = await fetch('/api/ab-test/promote', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ variant_id: promoting.id }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        showToast(data.error || 'Error ending the A/B test', true);
+        return;
+      }
+
+      showToast(data.synced
+        ? `${promoting.name} is now your popup`
+        : 'Test ended, but the storefront could not be updated. Please save your settings again.', !data.synced);
+      setPromoting(null);
+      setSummary(null);
+      setSettings(data.settings);
+    } catch (err) {
+      console.error('Error promoting variant:', err);
+      showToast('Error ending the A/B test', true);
+    } finally {
+      setIsPromoting(false);
+    }
+  }, [promoting, showToast]);
+
+  const variants: VariantRow[] = settings ? [
+    {
+      id: CONTROL_VARIANT_ID,
+      name: 'Control',
+      weight: 100 - settings.ab_variants.reduce((total, variant) => total + variant.weight, 0),
+    },
+    ...settings.ab_variants,
+  ] : [];
+
+  const controlAcceptRate = rate(summary?.variant[CONTROL_VARIANT_ID], 'accept');
+
+  const rows = variants.map((variant) => {
+    const counts = summary?.variant[variant.id];
+    const acceptRate = rate(counts, 'accept');
+    const difference = variant.id === CONTROL_VARIANT_ID || acceptRate === null || controlAcceptRate === null
+      ? '—'
+      : `${acceptRate >= controlAcceptRate ? '+' : ''}${((acceptRate - controlAcceptRate) * 100).toFixed(1)} pts`;
+
+    return [
+      variant.name,
+      `${variant.weight}%`,
+      counts?.impression ?? 0,
+      formatPercent(acceptRate),
+      formatPercent(rate(counts, 'decline')),
+      difference,
+      <Button key={variant.id} size="slim" onClick={() => setPromoting(variant)}>
+        {variant.id === CONTROL_VARIANT_ID ? 'Keep control' : 'Promote'}
+      </Button>,
+    ];
+  });
+
+  return (
+    <Page backAction={{ content: 'Home', url: '/' }}>
+      <TitleBar title="A/B Test" />
+
+      <Layout>
+        {upgradeRequired && (
+          <Layout.Section>
+            <UpgradeBanner feature="ab_testing">
+              Your variants aren't shown to visitors until you upgrade.
+            </UpgradeBanner>
+          </Layout.Section>
+        )}
+
+        {error && (
+          <Layout.Section>
+            <Banner title="Could not load A/B test results" tone="critical">
+              <p>{error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {settings && !settings.ab_test_enabled && (
+          <Layout.Section>
+            <Banner title="No A/B test is running" action={{ content: 'Set up a test', onAction: () => navigate('/settings') }}>
+              <p>Add popup variants under A/B Test in the settings to compare them here.</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {settings?.ab_test_enabled && (
+          <Layout.Section>
+            <Card>
+              <div style={{ padding: '20px' }}>
+                <Text variant="headingMd" as="h2">Results</Text>
+                <div style={{ marginTop: '8px' }}>
+                  <Text variant="bodyMd" as="p" tone="subdued">
+                    {settings.ab_test_started_at
+                      ? `Since ${new Date(settings.ab_test_started_at).toLocaleDateString()}. `
+                      : ''}
+                    Wait for a few hundred impressions per variant before picking a winner;
+                    small differences are often noise.
+                  </Text>
+                </div>
+              </div>
+              <DataTable
+                columnContentTypes={['text', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric', 'text']}
+                headings={['Variant', 'Visitors', 'Impressions', 'Accept rate', 'Decline rate', 'Accept rate vs control', '']}
+                rows={rows}
+              />
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+
+      <Modal
+        open={Boolean(promoting)}
+        onClose={() => setPromoting(null)}
+        title={promoting?.id === CONTROL_VARIANT_ID ? 'Keep the control popup?' : `Promote ${promoting?.name}?`}
+        primaryAction={{ content: 'End test', onAction: handlePromote, loading: isPromoting }}
+        secondaryActions={[{ content: 'Cancel', onAction: () => setPromoting(null) }]}
+      >
+        <Modal.Section>
+          <Text variant="bodyMd" as="p">
+            {promoting?.id === CONTROL_VARIANT_ID
+              ? 'The test ends and every visitor sees your current popup.'
+              : 'The variant\'s changes replace your popup settings, and the test ends for every visitor.'}
+          </Text>
+        </Modal.Section>
+      </Modal>
+    </Page>
+  );
+}
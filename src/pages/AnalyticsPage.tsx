@@ -0,0 +1,230 @@
+import { useState, useCallback, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  FormLayout,
+  TextField,
+  Button,
+  Banner,
+  DataTable,
+  InlineGrid,
+  Text,
+} from '@shopify/polaris';
+import { TitleBar, useAppBridge } from '@shopify/app-bridge-react';
+import { Toast } from '@shopify/app-bridge/actions';
+import { TrendChart } from '../components/analytics/TrendChart';
+import { UpgradeBanner } from '../components/billing/UpgradeBanner';
+import type { AnalyticsCounts, AnalyticsSummary } from '../types/analytics';
+
+const toDateInput = (date: Date) => date.toISOString().slice(0, 10);
+
+const rate = (count: number, impressions: number) => (impressions ? count / impressions : 0);
+
+const formatPercent = (value: number) => `${Math.round(value * 100)}%`;
+
+const BREAKDOWNS = [
+  { key: 'device', title: 'By device', heading: 'Device' },
+  { key: 'country', title: 'By country', heading: 'Country' },
+  { key: 'variant', title: 'By popup variant', heading: 'Variant' },
+] as const;
+
+/**
+ * Analytics page charting how visitors respond to the popup over time
+ */
+export function AnalyticsPage() {
+  const app = useAppBridge();
+  const [from, setFrom] = useState(toDateInput(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000)));
+  const [to, setTo] = useState(toDateInput(new Date()));
+  const [summary, setSummary] = useState<AnalyticsSummary | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [upgradeRequired, setUpgradeRequired] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleLoad = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/analytics?${new URLSearchParams({ from, to })}`);
+      const data = await response.json();
+      if (response.status === 402) {
+        setUpgradeRequired(true);
+        return;
+      }
+      if (!response.ok) {
+        setError(data.error || 'Failed to load analytics');
+        return;
+      }
+
+      setSummary(data as AnalyticsSummary);
+    } catch (err) {
+      console.error('Error loading analytics:', err);
+      const toast = Toast.create(app, {
+        message: 'Error loading analytics',
+        duration: 5000,
+        isError: true,
+      });
+      toast.dispatch(Toast.Action.SHOW);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [app, from, to]);
+
+  // Load the last 30 days on mount
+  useEffect(() => {
+    handleLoad();
+  }, []);
+
+  const breakdownRows = (counts: Record<string, AnalyticsCounts>) =>
+    Object.entries(counts)
+      .sort(([, a], [, b]) => b.impression - a.impression)
+      .map(([bucket, bucketCounts]) => [
+        bucket,
+        bucketCounts.impression,
+        formatPercent(rate(bucketCounts.accept, bucketCounts.impression)),
+        formatPercent(rate(bucketCounts.decline, bucketCounts.impression)),
+        bucketCounts.dismiss,
+        bucketCounts.preferences_change,
+      ]);
+
+  const totals = summary?.totals;
+  const metrics = totals
+    ? [
+        { label: 'Impressions', value: String(totals.impression) },
+        { label: 'Accept rate', value: formatPercent(rate(totals.accept, totals.impression)) },
+        { label: 'Decline rate', value: formatPercent(rate(totals.decline, totals.impression)) },
+        { label: 'Preference changes', value: String(totals.preferences_change) },
+      ]
+    : [];
+
+  return (
+    <Page backAction={{ content: 'Home', url: '/' }}>
+      <TitleBar title="Analytics" />
+
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <div style={{ padding: '20px' }}>
+              <FormLayout>
+                <FormLayout.Group>
+                  <TextField
+                    label="From"
+                    type="date"
+                    value={from}
+                    onChange={setFrom}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="To"
+                    type="date"
+                    value={to}
+                    onChange={setTo}
+                    autoComplete="off"
+                  />
+                </FormLayout.Group>
+                <Text variant="bodyMd" as="p" tone="subdued">
+                  Counts are anonymous and grouped by UTC day. Visitors who reopen the popup to change
+                  an earlier choice count as preference changes, not impressions.
+                </Text>
+                <Button variant="primary" loading={isLoading} onClick={handleLoad}>
+                  Update
+                </Button>
+              </FormLayout>
+            </div>
+          </Card>
+        </Layout.Section>
+
+        {upgradeRequired && (
+          <Layout.Section>
+            <UpgradeBanner feature="analytics">
+              Popup impressions and choices aren't counted until you upgrade.
+            </UpgradeBanner>
+          </Layout.Section>
+        )}
+
+        {error && (
+          <Layout.Section>
+            <Banner title="Could not load analytics" tone="critical">
+              <p>{error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {summary && (
+          <>
+            <Layout.Section>
+              <InlineGrid columns={{ xs: 2, md: 4 }} gap="400">
+                {metrics.map((metric) => (
+                  <Card key={metric.label}>
+                    <div style={{ padding: '20px' }}>
+                      <Text variant="bodyMd" as="p" tone="subdued">{metric.label}</Text>
+                      <Text variant="headingLg" as="p">{metric.value}</Text>
+                    </div>
+                  </Card>
+                ))}
+              </InlineGrid>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <div style={{ padding: '20px' }}>
+                  <Text variant="headingMd" as="h2">Impressions</Text>
+                  <div style={{ marginTop: '16px' }}>
+                    <TrendChart
+                      labels={summary.days.map((day) => day.day)}
+                      series={[
+                        { label: 'Impressions', color: '#2c6ecb', values: summary.days.map((day) => day.impression) },
+                      ]}
+                    />
+                  </div>
+                </div>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <div style={{ padding: '20px' }}>
+                  <Text variant="headingMd" as="h2">Accept and decline rate</Text>
+                  <div style={{ marginTop: '16px' }}>
+                    <TrendChart
+                      labels={summary.days.map((day) => day.day)}
+                      max={1}
+                      formatValue={formatPercent}
+                      series={[
+                        {
+                          label: 'Accept rate',
+                          color: '#008060',
+                          values: summary.days.map((day) => Math.min(1, rate(day.accept, day.impression))),
+                        },
+                        {
+                          label: 'Decline rate',
+                          color: '#d72c0d',
+                          values: summary.days.map((day) => Math.min(1, rate(day.decline, day.impression))),
+                        },
+                      ]}
+                    />
+                  </div>
+                </div>
+              </Card>
+            </Layout.Section>
+
+            {BREAKDOWNS.map((breakdown) => (
+              <Layout.Section key={breakdown.key}>
+                <Card>
+                  <div style={{ padding: '20px' }}>
+                    <Text variant="headingMd" as="h2">{breakdown.title}</Text>
+                  </div>
+                  <DataTable
+                    columnContentTypes={['text', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric']}
+                    headings={[breakdown.heading, 'Impressions', 'Accept rate', 'Decline rate', 'Dismissed', 'Preference changes']}
+                    rows={breakdownRows(summary[breakdown.key])}
+                  />
+                </Card>
+              </Layout.Section>
+            ))}
+          </>
+        )}
+      </Layout>
+    </Page>
+  );
+}
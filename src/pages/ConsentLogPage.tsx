@@ -0,0 +1,236 @@
+import { useState, useCallback, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  FormLayout,
+  TextField,
+  Button,
+  ButtonGroup,
+  Banner,
+  DataTable,
+  Text,
+} from '@shopify/polaris';
+import { TitleBar, useAppBridge } from '@shopify/app-bridge-react';
+import { Toast } from '@shopify/app-bridge/actions';
+import { UpgradeBanner } from '../components/billing/UpgradeBanner';
+import type { ConsentLogResponse, ConsentRecord, DataRequestSummary } from '../types/consent';
+
+const toDateInput = (date: Date) => date.toISOString().slice(0, 10);
+
+/**
+ * Consent log page for finding and exporting visitors' consent decisions
+ */
+export function ConsentLogPage() {
+  const app = useAppBridge();
+  const [visitorId, setVisitorId] = useState('');
+  const [from, setFrom] = useState(toDateInput(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000)));
+  const [to, setTo] = useState(toDateInput(new Date()));
+  const [records, setRecords] = useState<ConsentRecord[]>([]);
+  const [total, setTotal] = useState(0);
+  const [error, setError] = useState<string | null>(null);
+  const [upgradeRequired, setUpgradeRequired] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [dataRequests, setDataRequests] = useState<DataRequestSummary[]>([]);
+
+  const buildQuery = useCallback(() => {
+    const params = new URLSearchParams({ from, to });
+    if (visitorId.trim()) {
+      params.set('visitor_id', visitorId.trim());
+    }
+    return params;
+  }, [from, to, visitorId]);
+
+  const handleSearch = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/consent-log?${buildQuery()}`);
+      const data = await response.json();
+      if (response.status === 402) {
+        setUpgradeRequired(true);
+        return;
+      }
+      if (!response.ok) {
+        setError(data.error || 'Failed to search consent log');
+        return;
+      }
+
+      const result = data as ConsentLogResponse;
+      setRecords(result.records);
+      setTotal(result.total);
+    } catch (err) {
+      console.error('Error searching consent log:', err);
+      const toast = Toast.create(app, {
+        message: 'Error searching consent log',
+        duration: 5000,
+        isError: true,
+      });
+      toast.dispatch(Toast.Action.SHOW);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [app, buildQuery]);
+
+  const handleExport = useCallback((format: 'csv' | 'json') => {
+    const params = buildQuery();
+    params.set('format', format);
+    window.open(`/api/consent-log/export?${params}`, '_blank');
+  }, [buildQuery]);
+
+  const loadDataRequests = useCallback(async () => {
+    try {
+      const response = await fetch('/api/data-requests');
+      if (!response.ok) {
+        throw new Error('Failed to load data requests');
+      }
+      const data = await response.json();
+      setDataRequests(data.requests as DataRequestSummary[]);
+    } catch (err) {
+      console.error('Error loading data requests:', err);
+    }
+  }, []);
+
+  const handleDataRequestExport = useCallback((id: string, format: 'csv' | 'json') => {
+    window.open(`/api/data-requests/${encodeURIComponent(id)}/export?${new URLSearchParams({ format })}`, '_blank');
+  }, []);
+
+  // Load the last 30 days on mount
+  useEffect(() => {
+    handleSearch();
+    loadDataRequests();
+  }, []);
+
+  const formatCategories = (record: ConsentRecord) =>
+    Object.entries(record.categories)
+      .filter(([, granted]) => granted)
+      .map(([category]) => category)
+      .join(', ');
+
+  const rows = records.map((record) => [
+    new Date(record.received_at).toLocaleString(),
+    record.visitor_id,
+    record.decision,
+    formatCategories(record),
+    record.locale || '—',
+    record.country || '—',
+    record.policy_version || '—',
+  ]);
+
+  const dataRequestRows = dataRequests.map((request) => [
+    new Date(request.requested_at).toLocaleString(),
+    request.customer.email || request.customer.phone || `Customer ${request.customer.id}`,
+    request.record_count,
+    <ButtonGroup key={request.id}>
+      <Button size="slim" onClick={() => handleDataRequestExport(request.id, 'csv')}>CSV</Button>
+      <Button size="slim" onClick={() => handleDataRequestExport(request.id, 'json')}>JSON</Button>
+    </ButtonGroup>,
+  ]);
+
+  return (
+    <Page backAction={{ content: 'Home', url: '/' }}>
+      <TitleBar title="Consent Log" />
+
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <div style={{ padding: '20px' }}>
+              <Text variant="headingMd" as="h2">Search</Text>
+              <div style={{ marginTop: '16px' }}>
+                <FormLayout>
+                  <TextField
+                    label="Visitor ID"
+                    value={visitorId}
+                    onChange={setVisitorId}
+                    helpText="Visitors can find their ID by running PrivacyPopup.getVisitorId() in the browser console"
+                    autoComplete="off"
+                    clearButton
+                    onClearButtonClick={() => setVisitorId('')}
+                  />
+                  <FormLayout.Group>
+                    <TextField
+                      label="From"
+                      type="date"
+                      value={from}
+                      onChange={setFrom}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="To"
+                      type="date"
+                      value={to}
+                      onChange={setTo}
+                      autoComplete="off"
+                    />
+                  </FormLayout.Group>
+                  <ButtonGroup>
+                    <Button variant="primary" loading={isLoading} onClick={handleSearch}>
+                      Search
+                    </Button>
+                    <Button onClick={() => handleExport('csv')}>Export CSV</Button>
+                    <Button onClick={() => handleExport('json')}>Export JSON</Button>
+                  </ButtonGroup>
+                </FormLayout>
+              </div>
+            </div>
+          </Card>
+        </Layout.Section>
+
+        {upgradeRequired && (
+          <Layout.Section>
+            <UpgradeBanner feature="consent_log">
+              Visitors' choices aren't recorded until you upgrade. Customer data requests below are
+              available on every plan.
+            </UpgradeBanner>
+          </Layout.Section>
+        )}
+
+        {error && (
+          <Layout.Section>
+            <Banner title="Could not search the consent log" tone="critical">
+              <p>{error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <div style={{ padding: '20px' }}>
+              <Text variant="bodyMd" as="p" tone="subdued">
+                {total > records.length
+                  ? `Showing the ${records.length} most recent of ${total} records. Export to see all of them.`
+                  : `${total} records`}
+              </Text>
+            </div>
+            <DataTable
+              columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text', 'text']}
+              headings={['Received', 'Visitor ID', 'Decision', 'Granted categories', 'Locale', 'Country', 'Policy version']}
+              rows={rows}
+            />
+          </Card>
+        </Layout.Section>
+
+        {dataRequests.length > 0 && (
+          <Layout.Section>
+            <Card>
+              <div style={{ padding: '20px' }}>
+                <Text variant="headingMd" as="h2">Customer data requests</Text>
+                <div style={{ marginTop: '8px' }}>
+                  <Text variant="bodyMd" as="p" tone="subdued">
+                    When a customer asks for their data, Shopify notifies the app and the consent records
+                    tied to their account are collected here. Send the export to the customer.
+                  </Text>
+                </div>
+              </div>
+              <DataTable
+                columnContentTypes={['text', 'text', 'numeric', 'text']}
+                headings={['Requested', 'Customer', 'Consent records', 'Export']}
+                rows={dataRequestRows}
+              />
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
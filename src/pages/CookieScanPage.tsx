@@ -0,0 +1,328 @@
+import { useState, useCallback, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  Button,
+  Banner,
+  Badge,
+  DataTable,
+  Text,
+} from '@shopify/polaris';
+import { TitleBar, useAppBridge } from '@shopify/app-bridge-react';
+import { Toast } from '@shopify/app-bridge/actions';
+import type { CookieScan, ScannedTracker } from '../types/scan';
+import type { BlockedDomain, ConsentCategoryId, PopupSettings } from '../types/settings';
+
+const POLL_INTERVAL_MS = 2000;
+// Scans end within seconds; one still running after this was cut short on the server
+const STALE_SCAN_MS = 2 * 60 * 1000;
+
+const CATEGORY_TONES: Record<ConsentCategoryId, 'success' | 'info' | 'attention' | 'warning'> = {
+  necessary: 'success',
+  preferences: 'info',
+  analytics: 'attention',
+  marketing: 'warning',
+};
+
+/**
+ * Cookie scanner page: scans the storefront and lists the cookies and
+ * third-party trackers found, with the consent category each one belongs in
+ */
+export function CookieScanPage() {
+  const app = useAppBridge();
+  const [scan, setScan] = useState<CookieScan | null>(null);
+  const [settings, setSettings] = useState<PopupSettings | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isScanning, setIsScanning] = useState(false);
+  const [blockingHost, setBlockingHost] = useState<string | null>(null);
+
+  const showToast = useCallback((message: string, isError = false) => {
+    const toast = Toast.create(app, {
+      message,
+      duration: isError ? 5000 : 3000,
+      isError,
+    });
+    toast.dispatch(Toast.Action.SHOW);
+  }, [app]);
+
+  const loadScan = useCallback(async () => {
+    try {
+      const [scanResponse, settingsResponse] = await Promise.all([
+        fetch('/api/cookie-scan'),
+        fetch('/api/settings'),
+      ]);
+      if (!scanResponse.ok || !settingsResponse.ok) {
+        throw new Error('Failed to load cookie scan');
+      }
+
+      setScan((await scanResponse.json()) as CookieScan | null);
+      setSettings((await settingsResponse.json()) as PopupSettings);
+    } catch (err) {
+      console.error('Error loading cookie scan:', err);
+      setError('Failed to load the last cookie scan');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadScan();
+  }, []);
+
+  // A scan started elsewhere, e.g. in another tab, is still running; check back until it finishes
+  const isRunning = scan?.status === 'running' && Date.now() - Date.parse(scan.started_at) < STALE_SCAN_MS;
+  useEffect(() => {
+    if (!isRunning) {
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch('/api/cookie-scan');
+        if (!response.ok) {
+          throw new Error('Failed to load cookie scan');
+        }
+        setScan((await response.json()) as CookieScan | null);
+      } catch (err) {
+        console.error('Error loading cookie scan:', err);
+        setError('Failed to load the cookie scan');
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [scan, isRunning]);
+
+  const handleScan = useCallback(async () => {
+    setIsScanning(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/cookie-scan', { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to scan storefront');
+      }
+
+      setScan(data as CookieScan);
+    } catch (err) {
+      console.error('Error scanning storefront:', err);
+      showToast(err instanceof Error ? err.message : 'Error scanning storefront', true);
+    } finally {
+      setIsScanning(false);
+    }
+  }, [showToast]);
+
+  const handleBlock = useCallback(async (tracker: ScannedTracker) => {
+    if (!settings || !tracker.category || tracker.category === 'necessary') {
+      return;
+    }
+
+    setBlockingHost(tracker.host);
+    try {
+      const blockedDomains: BlockedDomain[] = [
+        ...settings.blocked_domains,
+        { domain: tracker.host, category: tracker.category },
+      ];
+      const response = await fetch('/api/settings', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ blocked_domains: blockedDomains }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save settings');
+      }
+
+      setSettings(data.settings as PopupSettings);
+      showToast(`${tracker.host} now waits for ${tracker.category} consent`);
+    } catch (err) {
+      console.error('Error blocking tracker:', err);
+      showToast(err instanceof Error ? err.message : 'Error saving settings', true);
+    } finally {
+      setBlockingHost(null);
+    }
+  }, [settings, showToast]);
+
+  const categoryName = (category: ConsentCategoryId) =>
+    settings?.consent_categories.find((candidate) => candidate.id === category)?.name || category;
+
+  const categoryBadge = (category: ConsentCategoryId | null) =>
+    category
+      ? <Badge tone={CATEGORY_TONES[category]}>{categoryName(category)}</Badge>
+      : <Badge>Not recognized</Badge>;
+
+  const isBlocked = (host: string) =>
+    settings?.blocked_domains.some(({ domain }) => host === domain || host.endsWith(`.${domain}`)) ?? false;
+
+  const trackerAction = (tracker: ScannedTracker) => {
+    if (isBlocked(tracker.host)) {
+      return <Text as="span" tone="subdued">Blocked until consent</Text>;
+    }
+    if (!tracker.category || tracker.category === 'necessary') {
+      return '—';
+    }
+    return (
+      <Button
+        size="slim"
+        loading={blockingHost === tracker.host}
+        disabled={blockingHost !== null}
+        onClick={() => handleBlock(tracker)}
+      >
+        Block until consent
+      </Button>
+    );
+  };
+
+  const cookieRows = (scan?.cookies || []).map((cookie) => [
+    cookie.name,
+    cookie.provider || '—',
+    categoryBadge(cookie.category),
+    cookie.duration,
+    cookie.purpose || '—',
+    cookie.source === 'response' ? `Set by ${cookie.pages.join(', ')}` : 'Known to be set by the tracker',
+  ]);
+
+  const trackerRows = (scan?.trackers || []).map((tracker) => [
+    tracker.host,
+    tracker.provider || '—',
+    categoryBadge(tracker.category),
+    tracker.types.join(', '),
+    tracker.pages.join(', '),
+    trackerAction(tracker),
+  ]);
+
+  const pageRows = (scan?.pages || []).map((page) => [
+    page.path,
+    page.status ?? '—',
+    page.off_site_redirect ? `Redirects off-site to ${page.off_site_redirect}, not followed` : page.error || '',
+  ]);
+
+  return (
+    <Page
+      backAction={{ content: 'Home', url: '/' }}
+      primaryAction={{
+        content: scan ? 'Scan again' : 'Scan storefront',
+        loading: isScanning || isRunning,
+        onAction: handleScan,
+      }}
+    >
+      <TitleBar title="Cookie Scanner" />
+
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <div style={{ padding: '20px' }}>
+              <Text variant="headingMd" as="h2">Cookies and trackers on your store</Text>
+              <div style={{ marginTop: '8px' }}>
+                <Text variant="bodyMd" as="p" tone="subdued">
+                  The scanner visits your home page and a few other storefront pages, and looks up the
+                  cookies they set and the third-party scripts and embeds they load. Use the suggested
+                  categories to describe your consent categories and to block trackers until visitors agree.
+                  Cookies that scripts set later in the browser are listed from what those services are
+                  known to set, so check them against your own tools.
+                </Text>
+              </div>
+              {scan?.finished_at && (
+                <div style={{ marginTop: '16px' }}>
+                  <Text variant="bodyMd" as="p">
+                    Last scanned {new Date(scan.finished_at).toLocaleString()}
+                    {scan.base_url && ` from ${scan.base_url}`}
+                  </Text>
+                </div>
+              )}
+            </div>
+          </Card>
+        </Layout.Section>
+
+        {error && (
+          <Layout.Section>
+            <Banner title="Could not load the cookie scan" tone="critical">
+              <p>{error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {scan?.status === 'failed' && (
+          <Layout.Section>
+            <Banner title="The scan failed" tone="critical">
+              <p>{scan.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {isRunning && (
+          <Layout.Section>
+            <Banner title="Scanning your storefront">
+              <p>The results show here when the scan finishes, usually within a few seconds.</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {scan?.password_protected && (
+          <Layout.Section>
+            <Banner title="Your store is password protected" tone="warning">
+              <p>
+                Only the password page could be scanned. Scan again once the store is open to see what
+                your other pages load.
+              </p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {scan?.status === 'completed' && (
+          <>
+            <Layout.Section>
+              <Card>
+                <div style={{ padding: '20px' }}>
+                  <Text variant="headingMd" as="h2">Cookies</Text>
+                </div>
+                {cookieRows.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text']}
+                    headings={['Name', 'Provider', 'Suggested category', 'Duration', 'Purpose', 'Found']}
+                    rows={cookieRows}
+                  />
+                ) : (
+                  <div style={{ padding: '0 20px 20px' }}>
+                    <Text variant="bodyMd" as="p" tone="subdued">No cookies found</Text>
+                  </div>
+                )}
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <div style={{ padding: '20px' }}>
+                  <Text variant="headingMd" as="h2">Third-party scripts and embeds</Text>
+                </div>
+                {trackerRows.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text']}
+                    headings={['Host', 'Provider', 'Suggested category', 'Type', 'Pages', '']}
+                    rows={trackerRows}
+                  />
+                ) : (
+                  <div style={{ padding: '0 20px 20px' }}>
+                    <Text variant="bodyMd" as="p" tone="subdued">No third-party scripts or embeds found</Text>
+                  </div>
+                )}
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <div style={{ padding: '20px' }}>
+                  <Text variant="headingMd" as="h2">Scanned pages</Text>
+                </div>
+                <DataTable
+                  columnContentTypes={['text', 'numeric', 'text']}
+                  headings={['Page', 'Status', 'Notes']}
+                  rows={pageRows}
+                />
+              </Card>
+            </Layout.Section>
+          </>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,36 @@
+import { useEffect } from 'react';
+import { Page, Spinner } from '@shopify/polaris';
+import { useAppBridge } from '@shopify/app-bridge-react';
+import { Redirect } from '@shopify/app-bridge/actions';
+import { useLocation } from 'react-router-dom';
+
+/**
+ * Breaks out of the admin iframe for pages Shopify won't render embedded,
+ * such as the OAuth grant screen. The server redirects here with the target
+ * in `redirectUri` when an embedded request needs to go through OAuth.
+ */
+export function ExitIframePage() {
+  const app = useAppBridge();
+  const { search } = useLocation();
+
+  useEffect(() => {
+    const redirectUri = new URLSearchParams(search).get('redirectUri');
+    if (!redirectUri) return;
+
+    // Only follow redirects to this app or the shop's admin
+    const url = new URL(decodeURIComponent(redirectUri), window.location.origin);
+    if (
+      url.hostname === window.location.hostname ||
+      url.hostname === 'admin.shopify.com' ||
+      url.hostname.endsWith('.myshopify.com')
+    ) {
+      Redirect.create(app).dispatch(Redirect.Action.REMOTE, url.toString());
+    }
+  }, [app, search]);
+
+  return (
+    <Page>
+      <Spinner accessibilityLabel="Redirecting" size="large" />
+    </Page>
+  );
+}
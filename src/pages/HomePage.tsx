@@ -38,6 +38,22 @@ export function HomePage() {
     navigate('/settings');
   }, [navigate]);
 
+  const handleViewConsentLog = useCallback(() => {
+    navigate('/consent-log');
+  }, [navigate]);
+
+  const handleViewAnalytics = useCallback(() => {
+    navigate('/analytics');
+  }, [navigate]);
+
+  const handleViewCookieScan = useCallback(() => {
+    navigate('/cookie-scan');
+  }, [navigate]);
+
+  const handleViewPlans = useCallback(() => {
+    navigate('/plans');
+  }, [navigate]);
+
   return (
     <Page>
       <TitleBar title="Privacy Popup" />
@@ -104,6 +120,26 @@ export function HomePage() {
                   >
                     Configure Settings
                   </Button>
+                  <Button
+                    onClick={handleViewConsentLog}
+                  >
+                    View Consent Log
+                  </Button>
+                  <Button
+                    onClick={handleViewAnalytics}
+                  >
+                    View Analytics
+                  </Button>
+                  <Button
+                    onClick={handleViewCookieScan}
+                  >
+                    Scan Cookies
+                  </Button>
+                  <Button
+                    onClick={handleViewPlans}
+                  >
+                    Plans
+                  </Button>
                 </ButtonGroup>
               </div>
             </div>
@@ -0,0 +1,174 @@
+import { useState, useCallback, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  Button,
+  Banner,
+  Badge,
+  InlineGrid,
+  List,
+  Text,
+} from '@shopify/polaris';
+import { TitleBar, useAppBridge } from '@shopify/app-bridge-react';
+import { Redirect, Toast } from '@shopify/app-bridge/actions';
+import { FEATURE_NAMES } from '../components/billing/UpgradeBanner';
+import type { BillingState, Plan, PlanFeature, SubscribeResponse } from '../types/billing';
+
+const formatPrice = (plan: Plan) => (plan.price ? `$${plan.price.toFixed(2)} / 30 days` : 'Free');
+
+/**
+ * Plan selection page. Paid plans are approved on Shopify's charge page, which
+ * sends the merchant back here; loading the page picks up the new subscription.
+ */
+export function PlansPage() {
+  const app = useAppBridge();
+  const [billing, setBilling] = useState<BillingState | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [changingTo, setChangingTo] = useState<string | null>(null);
+
+  const loadBilling = useCallback(async () => {
+    setError(null);
+    try {
+      const response = await fetch('/api/billing?refresh=1');
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Failed to load plans');
+        return;
+      }
+
+      setBilling(data as BillingState);
+    } catch (err) {
+      console.error('Error loading plans:', err);
+      setError('Failed to load plans');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadBilling();
+  }, []);
+
+  const handleChoose = useCallback(async (plan: Plan) => {
+    setChangingTo(plan.id);
+    try {
+      const response = await fetch('/api/billing/subscribe', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ plan_id: plan.id }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to change plan');
+      }
+
+      const { confirmationUrl, state } = data as SubscribeResponse;
+      if (confirmationUrl) {
+        // The charge approval page can't be shown inside the admin iframe
+        Redirect.create(app).dispatch(Redirect.Action.REMOTE, confirmationUrl);
+        return;
+      }
+
+      if (state) {
+        setBilling((current) => current && { ...current, ...state });
+      }
+      const toast = Toast.create(app, {
+        message: `Switched to the ${plan.name} plan`,
+        duration: 3000,
+      });
+      toast.dispatch(Toast.Action.SHOW);
+    } catch (err) {
+      console.error('Error changing plan:', err);
+      const toast = Toast.create(app, {
+        message: err instanceof Error ? err.message : 'Error changing plan',
+        duration: 5000,
+        isError: true,
+      });
+      toast.dispatch(Toast.Action.SHOW);
+    } finally {
+      setChangingTo(null);
+    }
+  }, [app]);
+
+  const currentPlan = billing?.plan;
+  const allFeatures = Object.keys(FEATURE_NAMES) as PlanFeature[];
+
+  return (
+    <Page backAction={{ content: 'Home', url: '/' }}>
+      <TitleBar title="Plans" />
+
+      <Layout>
+        {error && (
+          <Layout.Section>
+            <Banner title="Could not load plans" tone="critical">
+              <p>{error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {billing?.trial_ends_on && new Date(billing.trial_ends_on) > new Date() && (
+          <Layout.Section>
+            <Banner title={`Your ${currentPlan?.name} trial is active`}>
+              <p>
+                You won't be charged until {new Date(billing.trial_ends_on).toLocaleDateString()}.
+              </p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {billing && (
+          <Layout.Section>
+            <InlineGrid columns={{ xs: 1, md: billing.plans.length }} gap="400">
+              {billing.plans.map((plan) => {
+                const isCurrent = plan.id === currentPlan?.id;
+                return (
+                  <Card key={plan.id}>
+                    <div style={{ padding: '20px' }}>
+                      <Text variant="headingMd" as="h2">
+                        {plan.name} {isCurrent && <Badge tone="success">Current plan</Badge>}
+                      </Text>
+                      <Text variant="headingLg" as="p">{formatPrice(plan)}</Text>
+                      {plan.trial_days > 0 && (
+                        <Text variant="bodyMd" as="p" tone="subdued">
+                          {plan.trial_days}-day free trial
+                        </Text>
+                      )}
+                      <div style={{ marginTop: '16px' }}>
+                        <List>
+                          <List.Item>Privacy banner with accept and decline buttons</List.Item>
+                          {allFeatures
+                            .filter((feature) => plan.features.includes(feature))
+                            .map((feature) => (
+                              <List.Item key={feature}>{FEATURE_NAMES[feature]}</List.Item>
+                            ))}
+                        </List>
+                      </div>
+                      <div style={{ marginTop: '20px' }}>
+                        <Button
+                          variant={isCurrent ? undefined : 'primary'}
+                          disabled={isCurrent || changingTo !== null}
+                          loading={changingTo === plan.id}
+                          onClick={() => handleChoose(plan)}
+                        >
+                          {isCurrent ? 'Current plan' : `Choose ${plan.name}`}
+                        </Button>
+                      </div>
+                    </div>
+                  </Card>
+                );
+              })}
+            </InlineGrid>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Text variant="bodyMd" as="p" tone="subdued">
+            Plans are billed through your Shopify invoice. Settings for features outside your plan
+            are kept, and apply on your storefront again when you upgrade.
+          </Text>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -17,25 +17,26 @@ import {
   Popover,
   hsbToRgb,
   rgbToHsb,
+  InlineError,
 } from '@shopify/polaris';
 import { TitleBar, useAppBridge } from '@shopify/app-bridge-react';
 import { Toast } from '@shopify/app-bridge/actions';
-
-interface PopupSettings {
-  popup_enabled: boolean;
-  popup_title: string;
-  popup_text: string;
-  accept_text: string;
-  decline_text: string;
-  show_decline: boolean;
-  privacy_policy_url: string;
-  policy_link_text: string;
-  position: string;
-  delay: number;
-  background_color: string;
-  text_color: string;
-  accept_button_color: string;
-}
+import { UpgradeBanner } from '../components/billing/UpgradeBanner';
+import { AbTestCard } from '../components/settings/AbTestCard';
+import { ConsentCategoriesCard } from '../components/settings/ConsentCategoriesCard';
+import { ConsentModeCard } from '../components/settings/ConsentModeCard';
+import { ConsentStorageCard } from '../components/settings/ConsentStorageCard';
+import { CookieDeclarationCard } from '../components/settings/CookieDeclarationCard';
+import { GeoRulesCard } from '../components/settings/GeoRulesCard';
+import { PolicyVersionCard } from '../components/settings/PolicyVersionCard';
+import { PopupPreview } from '../components/settings/PopupPreview';
+import { ReopenWidgetCard } from '../components/settings/ReopenWidgetCard';
+import { ScriptBlockingCard } from '../components/settings/ScriptBlockingCard';
+import { StyleCard } from '../components/settings/StyleCard';
+import { TargetingCard } from '../components/settings/TargetingCard';
+import { TranslationsCard } from '../components/settings/TranslationsCard';
+import type { BillingState, PlanFeature } from '../types/billing';
+import type { PopupSettings, SettingsErrors } from '../types/settings';
 
 /**
  * Settings page component for configuring the privacy popup
@@ -56,17 +57,111 @@ export function SettingsPage() {
     background_color: '#ffffff',
     text_color: '#333333',
     accept_button_color: '#007cba',
+    accept_button_text_color: '#ffffff',
+    secondary_button_color: '#ffffff',
+    secondary_button_text_color: '#333333',
+    layout: 'floating',
+    layout_side: 'right',
+    font_source: 'theme',
+    font_family: '',
+    font_size: 14,
+    border_radius: 8,
+    shadow: 'subtle',
+    button_style: 'filled',
+    logo_url: '',
+    custom_css: '',
+    show_preferences: false,
+    preferences_text: 'Manage preferences',
+    save_preferences_text: 'Save preferences',
+    consent_categories: [
+      {
+        id: 'necessary',
+        name: 'Strictly necessary',
+        description: 'Required for the store to work, such as keeping your cart and checkout secure. These cannot be turned off.',
+      },
+      {
+        id: 'analytics',
+        name: 'Analytics',
+        description: 'Help us understand how visitors use the store so we can improve it.',
+      },
+      {
+        id: 'marketing',
+        name: 'Marketing',
+        description: 'Used to show you relevant ads and measure the performance of our campaigns.',
+      },
+      {
+        id: 'preferences',
+        name: 'Preferences',
+        description: 'Remember choices such as language and region to personalize your visit.',
+      },
+    ],
+    consent_mode_enabled: false,
+    consent_mode_wait_for_update: 500,
+    consent_mode_region_defaults: [],
+    consent_log_enabled: true,
+    analytics_enabled: true,
+    geo_mode: 'all',
+    geo_region_groups: ['eea', 'uk', 'switzerland'],
+    geo_countries: [],
+    page_mode: 'all',
+    page_templates: [],
+    page_url_patterns: [],
+    trigger_page_views: 1,
+    trigger_scroll_depth: 0,
+    trigger_exit_intent: false,
+    ccpa_enabled: false,
+    ccpa_regions: ['US-CA'],
+    ccpa_title: 'Your Privacy Choices',
+    ccpa_text: 'We may sell or share your personal information with partners for targeted advertising. You can opt out at any time.',
+    ccpa_opt_out_text: 'Do Not Sell or Share My Personal Information',
+    ccpa_acknowledge_text: 'OK',
+    policy_version: 1,
+    policy_changelog: '',
+    consent_lifetime_days: 365,
+    decline_lifetime_days: 180,
+    dismiss_behavior: 'session',
+    consent_storage: 'local_storage',
+    cookie_domain: '',
+    cookie_same_site: 'Lax',
+    reopen_widget_enabled: false,
+    reopen_widget_text: 'Cookie settings',
+    reopen_widget_position: 'bottom-left',
+    revoke_text: 'Withdraw consent',
+    translations: {},
+    blocked_domains: [],
+    cookie_declaration: [],
+    ab_test_enabled: false,
+    ab_variants: [],
   });
+  const [savedPolicyVersion, setSavedPolicyVersion] = useState(1);
 
   const [isLoading, setIsLoading] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
+  const [errors, setErrors] = useState<SettingsErrors>({});
   const [colorPickerActive, setColorPickerActive] = useState<string | null>(null);
+  const [billing, setBilling] = useState<BillingState | null>(null);
 
   // Load settings on component mount
   useEffect(() => {
     loadSettings();
+    loadBilling();
+  }, []);
+
+  // Settings for paid features can be edited on any plan, but only apply on the storefront once included
+  const loadBilling = useCallback(async () => {
+    try {
+      const response = await fetch('/api/billing');
+      if (response.ok) {
+        setBilling(await response.json());
+      }
+    } catch (error) {
+      console.error('Error loading plan:', error);
+    }
   }, []);
 
+  // Assume features are included until the plan has loaded, so banners don't flash
+  const hasFeature = (feature: PlanFeature) => !billing || billing.plan.features.includes(feature);
+
   const loadSettings = useCallback(async () => {
     setIsLoading(true);
     try {
@@ -74,6 +169,7 @@ export function SettingsPage() {
       if (response.ok) {
         const data = await response.json();
         setSettings(data);
+        setSavedPolicyVersion(data.policy_version);
       }
     } catch (error) {
       console.error('Error loading settings:', error);
@@ -90,6 +186,7 @@ export function SettingsPage() {
 
   const handleSave = useCallback(async () => {
     setIsSaving(true);
+    setErrors({});
     try {
       const response = await fetch('/api/settings', {
         method: 'POST',
@@ -100,9 +197,25 @@ export function SettingsPage() {
       });
 
       if (response.ok) {
-        const toast = Toast.create(app, {
+        const data = await response.json();
+        setSettings(data.settings);
+        setSavedPolicyVersion(data.settings.policy_version);
+        const toast = Toast.create(app, data.synced ? {
           message: 'Settings saved successfully!',
           duration: 3000,
+        } : {
+          message: 'Settings saved, but the storefront could not be updated. Please try again.',
+          duration: 5000,
+          isError: true,
+        });
+        toast.dispatch(Toast.Action.SHOW);
+      } else if (response.status === 422) {
+        const data = await response.json();
+        setErrors(data.errors);
+        const toast = Toast.create(app, {
+          message: 'Please fix the highlighted fields',
+          duration: 5000,
+          isError: true,
         });
         toast.dispatch(Toast.Action.SHOW);
       } else {
@@ -123,6 +236,9 @@ export function SettingsPage() {
 
   const handleFieldChange = useCallback((field: keyof PopupSettings, value: any) => {
     setSettings(prev => ({ ...prev, [field]: value }));
+    setErrors(prev => Object.fromEntries(
+      Object.entries(prev).filter(([key]) => key !== field && !key.startsWith(`${field}.`)),
+    ));
   }, []);
 
   const positionOptions = [
@@ -131,7 +247,28 @@ export function SettingsPage() {
     { label: 'Center', value: 'center' },
   ];
 
-  const hexToHsb = (hex: string) => {
+  const layoutOptions = [
+    { label: 'Floating box', value: 'floating' },
+    { label: 'Full-width bar', value: 'bar' },
+    { label: 'Corner box', value: 'corner' },
+    { label: 'Centered modal', value: 'modal' },
+    { label: 'Side panel', value: 'side-panel' },
+  ];
+
+  const layoutSideOptions = [
+    { label: 'Left', value: 'left' },
+    { label: 'Right', value: 'right' },
+  ];
+
+  const dismissOptions = [
+    { label: 'Hide the popup until the visitor\'s next session', value: 'session' },
+    { label: 'Count it as declining', value: 'decline' },
+    { label: 'Do nothing, the visitor must choose', value: 'none' },
+  ];
+
+  const hexToHsb = (value: string) => {
+    // The settings also accept the short form, e.g. #abc for #aabbcc
+    const hex = value.length === 4 ? `#${[...value.slice(1)].map((digit) => digit + digit).join('')}` : value;
     const r = parseInt(hex.slice(1, 3), 16) / 255;
     const g = parseInt(hex.slice(3, 5), 16) / 255;
     const b = parseInt(hex.slice(5, 7), 16) / 255;
@@ -229,6 +366,25 @@ export function SettingsPage() {
                         checked={settings.popup_enabled}
                         onChange={(value) => handleFieldChange('popup_enabled', value)}
                       />
+                      <Checkbox
+                        label="Keep a consent log"
+                        helpText={hasFeature('consent_log')
+                          ? "Stores each visitor's decision with an anonymous ID so you can prove consent"
+                          : 'Not included in your plan'}
+                        disabled={!hasFeature('consent_log')}
+                        checked={settings.consent_log_enabled}
+                        onChange={(value) => handleFieldChange('consent_log_enabled', value)}
+                      />
+
+                      <Checkbox
+                        label="Collect popup analytics"
+                        helpText={hasFeature('analytics')
+                          ? 'Counts impressions and choices without identifying visitors, for the Analytics page'
+                          : 'Not included in your plan'}
+                        disabled={!hasFeature('analytics')}
+                        checked={settings.analytics_enabled}
+                        onChange={(value) => handleFieldChange('analytics_enabled', value)}
+                      />
                     </FormLayout>
                   </div>
                 </div>
@@ -243,6 +399,7 @@ export function SettingsPage() {
                         label="Popup title"
                         value={settings.popup_title}
                         onChange={(value) => handleFieldChange('popup_title', value)}
+                        error={errors.popup_title}
                         autoComplete="off"
                       />
                       
@@ -250,6 +407,7 @@ export function SettingsPage() {
                         label="Popup text"
                         value={settings.popup_text}
                         onChange={(value) => handleFieldChange('popup_text', value)}
+                        error={errors.popup_text}
                         multiline={4}
                         autoComplete="off"
                       />
@@ -258,6 +416,7 @@ export function SettingsPage() {
                         label="Accept button text"
                         value={settings.accept_text}
                         onChange={(value) => handleFieldChange('accept_text', value)}
+                        error={errors.accept_text}
                         autoComplete="off"
                       />
                       
@@ -272,6 +431,7 @@ export function SettingsPage() {
                           label="Decline button text"
                           value={settings.decline_text}
                           onChange={(value) => handleFieldChange('decline_text', value)}
+                          error={errors.decline_text}
                           autoComplete="off"
                         />
                       )}
@@ -280,6 +440,7 @@ export function SettingsPage() {
                         label="Privacy policy URL"
                         value={settings.privacy_policy_url}
                         onChange={(value) => handleFieldChange('privacy_policy_url', value)}
+                        error={errors.privacy_policy_url}
                         type="url"
                         autoComplete="off"
                         helpText="Optional: Link to your privacy policy"
@@ -290,6 +451,7 @@ export function SettingsPage() {
                           label="Privacy policy link text"
                           value={settings.policy_link_text}
                           onChange={(value) => handleFieldChange('policy_link_text', value)}
+                          error={errors.policy_link_text}
                           autoComplete="off"
                         />
                       )}
@@ -298,27 +460,153 @@ export function SettingsPage() {
                 </div>
               </Card>
 
+              {!hasFeature('ab_testing') && (
+                <UpgradeBanner feature="ab_testing">
+                  Upgrade to change your A/B test. Variants aren't shown to visitors until then.
+                </UpgradeBanner>
+              )}
+              <AbTestCard
+                settings={settings}
+                errors={errors}
+                onFieldChange={handleFieldChange}
+              />
+
+              {!hasFeature('consent_categories') && (
+                <UpgradeBanner feature="consent_categories">
+                  Upgrade to change these settings. Visitors can't choose individual categories until then.
+                </UpgradeBanner>
+              )}
+              <ConsentCategoriesCard
+                settings={settings}
+                errors={errors}
+                onFieldChange={handleFieldChange}
+              />
+
+              <ReopenWidgetCard
+                settings={settings}
+                errors={errors}
+                onFieldChange={handleFieldChange}
+              />
+
+              {!hasFeature('translations') && (
+                <UpgradeBanner feature="translations">
+                  Upgrade to change translations. Visitors see your base copy in every language until then.
+                </UpgradeBanner>
+              )}
+              <TranslationsCard
+                settings={settings}
+                errors={errors}
+                onFieldChange={handleFieldChange}
+              />
+
+              <PolicyVersionCard
+                settings={settings}
+                savedPolicyVersion={savedPolicyVersion}
+                errors={errors}
+                onFieldChange={handleFieldChange}
+              />
+
+              <ConsentStorageCard
+                settings={settings}
+                errors={errors}
+                onFieldChange={handleFieldChange}
+              />
+
+              {!hasFeature('geo_rules') && (
+                <UpgradeBanner feature="geo_rules">
+                  Upgrade to change geo rules. The popup is shown to visitors in every country until then.
+                </UpgradeBanner>
+              )}
+              <GeoRulesCard
+                settings={settings}
+                errors={errors}
+                onFieldChange={handleFieldChange}
+              />
+
+              <TargetingCard
+                settings={settings}
+                errors={errors}
+                onFieldChange={handleFieldChange}
+              />
+
+              <ConsentModeCard
+                settings={settings}
+                errors={errors}
+                onFieldChange={handleFieldChange}
+              />
+
+              <ScriptBlockingCard
+                settings={settings}
+                errors={errors}
+                onFieldChange={handleFieldChange}
+              />
+
+              <CookieDeclarationCard
+                settings={settings}
+                errors={errors}
+                onFieldChange={handleFieldChange}
+              />
+
               <Card>
                 <div style={{ padding: '20px' }}>
                   <Text variant="headingMd" as="h2">Display Settings</Text>
                   <div style={{ marginTop: '16px' }}>
                     <FormLayout>
                       <Select
-                        label="Popup position"
-                        options={positionOptions}
-                        value={settings.position}
-                        onChange={(value) => handleFieldChange('position', value)}
+                        label="Layout"
+                        options={layoutOptions}
+                        value={settings.layout}
+                        onChange={(value) => {
+                          handleFieldChange('layout', value);
+                          // Bars only run along the top or bottom of the page
+                          if (value === 'bar' && settings.position === 'center') {
+                            handleFieldChange('position', 'bottom');
+                          }
+                        }}
+                        error={errors.layout}
                       />
+
+                      {(settings.layout === 'floating' || settings.layout === 'bar') && (
+                        <Select
+                          label="Popup position"
+                          options={settings.layout === 'bar'
+                            ? positionOptions.filter((option) => option.value !== 'center')
+                            : positionOptions}
+                          value={settings.position}
+                          onChange={(value) => handleFieldChange('position', value)}
+                          error={errors.position}
+                        />
+                      )}
+
+                      {(settings.layout === 'corner' || settings.layout === 'side-panel') && (
+                        <Select
+                          label="Side"
+                          options={layoutSideOptions}
+                          value={settings.layout_side}
+                          onChange={(value) => handleFieldChange('layout_side', value)}
+                          error={errors.layout_side}
+                        />
+                      )}
                       
                       <RangeSlider
                         label={`Show delay: ${settings.delay} seconds`}
                         value={settings.delay}
                         onChange={(value) => handleFieldChange('delay', value)}
+                        error={errors.delay}
                         min={0}
                         max={10}
                         step={1}
                         output
                       />
+
+                      <Select
+                        label="When visitors click outside the popup or press Escape"
+                        options={dismissOptions}
+                        value={settings.dismiss_behavior}
+                        onChange={(value) => handleFieldChange('dismiss_behavior', value)}
+                        error={errors.dismiss_behavior}
+                        helpText="Clicking outside only applies to the centered popup"
+                      />
                     </FormLayout>
                   </div>
                 </div>
@@ -334,11 +622,34 @@ export function SettingsPage() {
                         {renderColorPicker('text_color', 'Text Color', settings.text_color)}
                         {renderColorPicker('accept_button_color', 'Accept Button Color', settings.accept_button_color)}
                       </FormLayout.Group>
+                      <FormLayout.Group>
+                        {renderColorPicker('accept_button_text_color', 'Accept Button Text', settings.accept_button_text_color)}
+                        {renderColorPicker('secondary_button_color', 'Secondary Button Color', settings.secondary_button_color)}
+                        {renderColorPicker('secondary_button_text_color', 'Secondary Button Text', settings.secondary_button_text_color)}
+                      </FormLayout.Group>
+                      {([
+                        'background_color',
+                        'text_color',
+                        'accept_button_color',
+                        'accept_button_text_color',
+                        'secondary_button_color',
+                        'secondary_button_text_color',
+                      ] as const)
+                        .filter((field) => errors[field])
+                        .map((field) => (
+                          <InlineError key={field} message={errors[field]!} fieldID={field} />
+                        ))}
                     </FormLayout>
                   </div>
                 </div>
               </Card>
 
+              <StyleCard
+                settings={settings}
+                errors={errors}
+                onFieldChange={handleFieldChange}
+              />
+
               <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '20px' }}>
                 <Button primary submit loading={isSaving}>
                   Save Settings
@@ -347,6 +658,12 @@ export function SettingsPage() {
             </FormLayout>
           </Form>
         </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <div style={{ position: 'sticky', top: '16px' }}>
+            <PopupPreview settings={settings} onFieldChange={handleFieldChange} />
+          </div>
+        </Layout.Section>
       </Layout>
     </Page>
   );
@@ -0,0 +1,17 @@
+export type AnalyticsEvent = 'impression' | 'accept' | 'decline' | 'dismiss' | 'preferences_change';
+
+export type AnalyticsCounts = Record<AnalyticsEvent, number>;
+
+export interface AnalyticsDay extends AnalyticsCounts {
+  day: string;
+}
+
+export interface AnalyticsSummary {
+  from: string;
+  to: string;
+  totals: AnalyticsCounts;
+  days: AnalyticsDay[];
+  device: Record<string, AnalyticsCounts>;
+  country: Record<string, AnalyticsCounts>;
+  variant: Record<string, AnalyticsCounts>;
+}
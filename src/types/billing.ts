@@ -0,0 +1,31 @@
+export type PlanFeature =
+  | 'consent_categories'
+  | 'geo_rules'
+  | 'translations'
+  | 'analytics'
+  | 'consent_log'
+  | 'ab_testing';
+
+export interface Plan {
+  id: string;
+  name: string;
+  /** Monthly price in USD */
+  price: number;
+  trial_days: number;
+  features: PlanFeature[];
+}
+
+export interface BillingState {
+  plan: Plan;
+  plans: Plan[];
+  subscription_id: string | null;
+  status: string | null;
+  /** End of the free trial, while it lasts */
+  trial_ends_on: string | null;
+}
+
+export interface SubscribeResponse {
+  /** Shopify page where the merchant approves the charge, for paid plans */
+  confirmationUrl?: string;
+  state?: BillingState;
+}
@@ -0,0 +1,40 @@
+import type { ConsentCategoryId } from './settings';
+
+export type ConsentDecision = 'accepted' | 'declined' | 'custom' | 'opted_out' | 'revoked';
+
+export interface ConsentRecord {
+  id: string;
+  visitor_id: string;
+  /** Set when the visitor was logged in to a customer account */
+  customer_id?: string;
+  decision: ConsentDecision;
+  categories: Record<ConsentCategoryId, boolean>;
+  popup_version: string;
+  policy_version: string;
+  timestamp: string;
+  received_at: string;
+  locale: string;
+  country: string;
+}
+
+export interface ConsentLogResponse {
+  records: ConsentRecord[];
+  total: number;
+  from: string;
+  to: string;
+}
+
+/**
+ * Export generated for a customer's data request, without its records
+ */
+export interface DataRequestSummary {
+  id: string;
+  customer: {
+    id: string;
+    email: string | null;
+    phone: string | null;
+  };
+  orders_requested: number[];
+  requested_at: string;
+  record_count: number;
+}
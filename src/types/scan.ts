@@ -0,0 +1,46 @@
+import type { ConsentCategoryId } from './settings';
+
+export interface ScannedPage {
+  path: string;
+  url: string;
+  /** HTTP status, or null when the page couldn't be fetched */
+  status: number | null;
+  error?: string;
+  /** Where the page redirected to, when that's outside the store and so wasn't followed */
+  off_site_redirect?: string;
+}
+
+export interface ScannedCookie {
+  name: string;
+  /** Null when the cookie isn't in the bundled database */
+  provider: string | null;
+  /** Suggested consent category */
+  category: ConsentCategoryId | null;
+  purpose: string | null;
+  duration: string;
+  /** `response` when a storefront response set it, `tracker` when a recognized script is known to set it */
+  source: 'response' | 'tracker';
+  pages: string[];
+}
+
+export interface ScannedTracker {
+  host: string;
+  types: Array<'script' | 'iframe'>;
+  urls: string[];
+  pages: string[];
+  provider: string | null;
+  category: ConsentCategoryId | null;
+}
+
+export interface CookieScan {
+  status: 'running' | 'completed' | 'failed';
+  started_at: string;
+  finished_at?: string;
+  error?: string;
+  base_url?: string;
+  /** The storefront redirected to its password page, so only that page was seen */
+  password_protected?: boolean;
+  pages?: ScannedPage[];
+  cookies?: ScannedCookie[];
+  trackers?: ScannedTracker[];
+}
@@ -0,0 +1,177 @@
+export type ConsentCategoryId = 'necessary' | 'analytics' | 'marketing' | 'preferences';
+
+export interface ConsentCategory {
+  id: ConsentCategoryId;
+  name: string;
+  description: string;
+}
+
+export type ConsentModeState = 'granted' | 'denied';
+
+export interface ConsentModeRegionDefault {
+  regions: string[];
+  analytics: ConsentModeState;
+  marketing: ConsentModeState;
+  preferences: ConsentModeState;
+}
+
+export interface BlockedDomain {
+  domain: string;
+  category: Exclude<ConsentCategoryId, 'necessary'>;
+}
+
+/**
+ * A cookie listed on the storefront's cookie declaration
+ */
+export interface DeclaredCookie {
+  name: string;
+  provider: string;
+  category: ConsentCategoryId;
+  purpose: string;
+  duration: string;
+}
+
+/**
+ * What clicking outside the popup or pressing Escape does
+ */
+export type DismissBehavior = 'session' | 'decline' | 'none';
+
+/**
+ * Where the storefront keeps the visitor's consent record
+ */
+export type ConsentStorage = 'local_storage' | 'cookie' | 'both';
+
+export type CookieSameSite = 'Lax' | 'Strict' | 'None';
+
+/**
+ * Settings an A/B test variant can override
+ */
+export type VariantOverrides = Partial<Pick<PopupSettings,
+  'popup_title' | 'popup_text' | 'accept_text' | 'decline_text' | 'show_decline' | 'position'
+>>;
+
+export interface AbVariant {
+  id: string;
+  name: string;
+  /** Percentage of visitors who see this variant; the control popup gets the rest */
+  weight: number;
+  overrides: VariantOverrides;
+}
+
+/**
+ * Popup layout template. Floating boxes and bars follow `position`.
+ */
+export type PopupLayout = 'floating' | 'bar' | 'corner' | 'modal' | 'side-panel';
+
+export type GeoMode = 'all' | 'include' | 'exclude';
+
+export type GeoRegionGroup = 'eea' | 'uk' | 'switzerland';
+
+/**
+ * Whether the popup shows on every page, only on matching pages, or everywhere else
+ */
+export type PageMode = 'all' | 'include' | 'exclude';
+
+/**
+ * Storefront copy for one locale; blank fields fall back to the base settings
+ */
+export interface PopupTranslation {
+  popup_title: string;
+  popup_text: string;
+  accept_text: string;
+  decline_text: string;
+  privacy_policy_url: string;
+  policy_link_text: string;
+  preferences_text: string;
+  save_preferences_text: string;
+  ccpa_title: string;
+  ccpa_text: string;
+  ccpa_opt_out_text: string;
+  ccpa_acknowledge_text: string;
+  policy_changelog: string;
+  reopen_widget_text: string;
+  revoke_text: string;
+  categories: Partial<Record<ConsentCategoryId, { name: string; description: string }>>;
+}
+
+export interface PopupSettings {
+  popup_enabled: boolean;
+  popup_title: string;
+  popup_text: string;
+  accept_text: string;
+  decline_text: string;
+  show_decline: boolean;
+  privacy_policy_url: string;
+  policy_link_text: string;
+  position: string;
+  delay: number;
+  background_color: string;
+  text_color: string;
+  accept_button_color: string;
+  accept_button_text_color: string;
+  secondary_button_color: string;
+  secondary_button_text_color: string;
+  layout: PopupLayout;
+  /** Screen edge for the corner box and side panel layouts */
+  layout_side: 'left' | 'right';
+  font_source: 'theme' | 'custom';
+  font_family: string;
+  font_size: number;
+  border_radius: number;
+  shadow: 'none' | 'subtle' | 'strong';
+  button_style: 'filled' | 'outline' | 'link';
+  logo_url: string;
+  custom_css: string;
+  show_preferences: boolean;
+  preferences_text: string;
+  save_preferences_text: string;
+  consent_categories: ConsentCategory[];
+  consent_mode_enabled: boolean;
+  consent_mode_wait_for_update: number;
+  consent_mode_region_defaults: ConsentModeRegionDefault[];
+  consent_log_enabled: boolean;
+  analytics_enabled: boolean;
+  geo_mode: GeoMode;
+  geo_region_groups: GeoRegionGroup[];
+  geo_countries: string[];
+  page_mode: PageMode;
+  /** Theme template names, as in Liquid's `template.name` */
+  page_templates: string[];
+  /** Path globs; `*` matches within one path segment and `**` across segments */
+  page_url_patterns: string[];
+  trigger_page_views: number;
+  /** Percentage of the page to scroll before the popup shows; 0 turns the rule off */
+  trigger_scroll_depth: number;
+  trigger_exit_intent: boolean;
+  ccpa_enabled: boolean;
+  ccpa_regions: string[];
+  ccpa_title: string;
+  ccpa_text: string;
+  ccpa_opt_out_text: string;
+  ccpa_acknowledge_text: string;
+  policy_version: number;
+  policy_changelog: string;
+  consent_lifetime_days: number;
+  decline_lifetime_days: number;
+  dismiss_behavior: DismissBehavior;
+  consent_storage: ConsentStorage;
+  cookie_domain: string;
+  cookie_same_site: CookieSameSite;
+  reopen_widget_enabled: boolean;
+  reopen_widget_text: string;
+  reopen_widget_position: 'bottom-left' | 'bottom-right';
+  revoke_text: string;
+  translations: Record<string, PopupTranslation>;
+  blocked_domains: BlockedDomain[];
+  cookie_declaration: DeclaredCookie[];
+  ab_test_enabled: boolean;
+  ab_variants: AbVariant[];
+  ab_test_started_at?: string;
+  updated_at?: string;
+}
+
+/**
+ * Field-level validation errors returned by the settings API.
+ * Nested fields are keyed by dotted path, e.g. `consent_categories.analytics.name`.
+ */
+export type SettingsErrors = Partial<Record<string, string>>;